@@ -0,0 +1,266 @@
+/**
+ * AnalysisProcessor.js
+ * AudioWorkletProcessor computing band energies, RMS, peak and onsets at audio rate
+ * Runs in the AudioWorkletGlobalScope (loaded by AudioEngine, read by FrequencyAnalyzer)
+ */
+
+class AnalysisProcessor extends AudioWorkletProcessor {
+  /**
+   * @param {object} options - processorOptions: bands [{ name, min, max, beatWeight }], minDecibels,
+   *   maxDecibels, fftSize, postInterval (samples), sensitivity, threshold, minTimeBetweenBeats (ms)
+   */
+  constructor(options) {
+    super();
+
+    const config = options.processorOptions;
+
+    // Level mapping matches AnalyserNode byte data so both paths read the same
+    this.minDecibels = config.minDecibels;
+    this.maxDecibels = config.maxDecibels;
+    this.fftSize = config.fftSize;
+
+    // Band-pass filter bank, one biquad per band
+    this.bands = config.bands.map(band => this.createBand(band));
+
+    // Envelope time constants
+    this.levelCoefficient = this.smoothingCoefficient(0.02); // 20ms, posted levels
+    this.onsetCoefficient = this.smoothingCoefficient(0.01); // 10ms, onset energy (bass ripple stays below the threshold)
+
+    // Posting
+    this.postInterval = config.postInterval;
+    this.samplesSincePost = 0;
+    this.sumSquares = 0;
+    this.peak = 0;
+
+    // Onset detection (same rule as BeatDetector.detectBeat, evaluated every render quantum)
+    this.sensitivity = config.sensitivity;
+    this.threshold = config.threshold;
+    this.minTimeBetweenBeats = config.minTimeBetweenBeats / 1000;
+    this.lastOnsetTime = -Infinity;
+
+    // ~1 second of per-quantum energies as a ring buffer with running sums
+    this.historySize = Math.round(sampleRate / 128);
+    this.history = new Float32Array(this.historySize);
+    this.historyIndex = 0;
+    this.historyCount = 0;
+    this.historySum = 0;
+    this.historySumSquares = 0;
+
+    this.port.onmessage = (event) => this.handleMessage(event.data);
+  }
+
+  /**
+   * Band-pass biquad (RBJ, 0 dB peak) spanning a band
+   * @param {object} band - { name, min, max } in Hz, beatWeight (share of the onset energy)
+   * @returns {object}
+   */
+  createBand(band) {
+    const max = Math.min(band.max, sampleRate * 0.45);
+    const center = Math.sqrt(band.min * max);
+    const q = center / Math.max(1, max - band.min);
+
+    const w0 = 2 * Math.PI * center / sampleRate;
+    const alpha = Math.sin(w0) / (2 * q);
+    const a0 = 1 + alpha;
+
+    return {
+      name: band.name,
+      width: max - band.min,
+      beatWeight: band.beatWeight ?? 0,
+      b0: alpha / a0,
+      b2: -alpha / a0,
+      a1: (-2 * Math.cos(w0)) / a0,
+      a2: (1 - alpha) / a0,
+      x1: 0,
+      x2: 0,
+      y1: 0,
+      y2: 0,
+      level: 0, // mean square, 20ms envelope
+      onset: 0, // mean square, 10ms envelope
+      gain: 1 // BandNormalizer gain, applied to the onset level only
+    };
+  }
+
+  /**
+   * One-pole smoothing coefficient for a time constant
+   * @param {number} seconds
+   * @returns {number}
+   */
+  smoothingCoefficient(seconds) {
+    return 1 - Math.exp(-1 / (seconds * sampleRate));
+  }
+
+  /**
+   * Settings from the main thread
+   * @param {object} data
+   */
+  handleMessage(data) {
+    if (data.type !== 'config') return;
+
+    if (data.sensitivity !== undefined) this.sensitivity = data.sensitivity;
+    if (data.threshold !== undefined) this.threshold = data.threshold;
+    if (data.minTimeBetweenBeats !== undefined) this.minTimeBetweenBeats = data.minTimeBetweenBeats / 1000;
+    if (data.fftSize !== undefined) this.fftSize = data.fftSize;
+
+    // New band layout: rebuild the filter bank and start the onset statistics over
+    if (data.bands !== undefined) {
+      this.bands = data.bands.map(band => this.createBand(band));
+      this.history.fill(0);
+      this.historyIndex = 0;
+      this.historyCount = 0;
+      this.historySum = 0;
+      this.historySumSquares = 0;
+    }
+
+    if (data.gains !== undefined) {
+      this.bands.forEach(band => {
+        band.gain = data.gains[band.name] ?? 1;
+      });
+    }
+  }
+
+  /**
+   * Mean square -> 0-1 level on the analyser's decibel scale
+   * Energy is spread over the band's FFT bins first, so levels match the per-bin averages
+   * @param {number} meanSquare
+   * @param {number} width - Band width in Hz
+   * @returns {number}
+   */
+  toLevel(meanSquare, width) {
+    const binWidth = sampleRate / this.fftSize;
+    const perBin = meanSquare / Math.max(1, width / binWidth);
+    const decibels = 10 * Math.log10(perBin + 1e-12);
+    const level = (decibels - this.minDecibels) / (this.maxDecibels - this.minDecibels);
+
+    return Math.max(0, Math.min(1, level));
+  }
+
+  process(inputs) {
+    const input = inputs[0];
+
+    // No input connected yet
+    if (!input || input.length === 0) return true;
+
+    const channelCount = input.length;
+    const frameCount = input[0].length;
+
+    for (let i = 0; i < frameCount; i++) {
+      // Mix down to mono
+      let sample = 0;
+      for (let channel = 0; channel < channelCount; channel++) {
+        sample += input[channel][i];
+      }
+      sample /= channelCount;
+
+      this.sumSquares += sample * sample;
+      this.peak = Math.max(this.peak, Math.abs(sample));
+
+      for (const band of this.bands) {
+        const y = band.b0 * sample + band.b2 * band.x2 - band.a1 * band.y1 - band.a2 * band.y2;
+
+        band.x2 = band.x1;
+        band.x1 = sample;
+        band.y2 = band.y1;
+        band.y1 = y;
+
+        const power = y * y;
+        band.level += (power - band.level) * this.levelCoefficient;
+        band.onset += (power - band.onset) * this.onsetCoefficient;
+      }
+    }
+
+    this.detectOnset();
+
+    this.samplesSincePost += frameCount;
+    if (this.samplesSincePost >= this.postInterval) {
+      this.postLevels();
+    }
+
+    return true;
+  }
+
+  /**
+   * Adaptive-threshold onset on the normalized bass/low-mid energy, once per render quantum
+   * Each band contributes by its beatWeight, so any layout covering 60-500 Hz detects onsets
+   */
+  detectOnset() {
+    let energy = 0;
+    let weightSum = 0;
+
+    for (const band of this.bands) {
+      if (band.beatWeight > 0) {
+        energy += Math.min(1, this.toLevel(band.onset, band.width) * band.gain) * band.beatWeight;
+        weightSum += band.beatWeight;
+      }
+    }
+
+    // No band in 60-500 Hz
+    if (weightSum === 0) return;
+    energy /= weightSum;
+
+    // Statistics over the previous second, excluding this quantum
+    const count = this.historyCount;
+    const mean = count > 0 ? this.historySum / count : 0;
+    const variance = count > 0 ? Math.max(0, this.historySumSquares / count - mean * mean) : 0;
+    const adaptiveThreshold = mean + Math.sqrt(variance) * this.sensitivity * 1.5;
+
+    this.pushHistory(energy);
+
+    if (count < this.historySize / 4) return; // Let the statistics settle
+    if (currentTime - this.lastOnsetTime < this.minTimeBetweenBeats) return;
+
+    if (energy > adaptiveThreshold && energy > this.threshold) {
+      this.lastOnsetTime = currentTime;
+
+      this.port.postMessage({
+        type: 'onset',
+        time: currentTime,
+        energy,
+        confidence: mean > 0 ? Math.min(1, Math.max(0, (energy / mean - 1) / 2)) : 0
+      });
+    }
+  }
+
+  /**
+   * Add an energy to the ring buffer, keeping running sums
+   * @param {number} energy
+   */
+  pushHistory(energy) {
+    if (this.historyCount === this.historySize) {
+      const oldest = this.history[this.historyIndex];
+      this.historySum -= oldest;
+      this.historySumSquares -= oldest * oldest;
+    } else {
+      this.historyCount++;
+    }
+
+    this.history[this.historyIndex] = energy;
+    this.historySum += energy;
+    this.historySumSquares += energy * energy;
+    this.historyIndex = (this.historyIndex + 1) % this.historySize;
+  }
+
+  /**
+   * Send band levels, RMS and peak for the interval since the last post
+   */
+  postLevels() {
+    const bands = {};
+    for (const band of this.bands) {
+      bands[band.name] = this.toLevel(band.level, band.width);
+    }
+
+    this.port.postMessage({
+      type: 'levels',
+      time: currentTime,
+      bands,
+      rms: Math.sqrt(this.sumSquares / this.samplesSincePost),
+      peak: Math.min(1, this.peak)
+    });
+
+    this.samplesSincePost = 0;
+    this.sumSquares = 0;
+    this.peak = 0;
+  }
+}
+
+registerProcessor('analysis-processor', AnalysisProcessor);
@@ -1,10 +1,24 @@
 /**
  * AudioEngine.js
- * Microphone input and audio analysis engine with low latency (<10ms)
+ * Audio input (microphone, clip soundtrack or audio file) and analysis engine with low latency (<10ms)
  */
 
 import { FrequencyAnalyzer } from './FrequencyAnalyzer.js';
 import { BeatDetector } from './BeatDetector.js';
+import { AudioFilePlayer } from './AudioFilePlayer.js';
+import { BandNormalizer } from './BandNormalizer.js';
+import analysisProcessorUrl from './AnalysisProcessor.js?url';
+
+// Pitch classes of FrequencyAnalyzer chroma bins, as modulation source suffixes
+const CHROMA_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+// Keys of getModulationSources(), available before audio is enabled
+const MODULATION_SOURCE_NAMES = [
+  'subBass', 'bass', 'lowMid', 'mid', 'highMid', 'treble', 'presence', 'air', 'rms', 'peak', 'overall',
+  'beat', 'beatPhase', 'kick', 'snare', 'hiHat',
+  'centroid', 'spread', 'flatness', 'rolloff', 'zcr',
+  ...CHROMA_NAMES.map(name => `chroma${name}`)
+];
 
 export class AudioEngine {
   constructor() {
@@ -21,18 +35,56 @@ export class AudioEngine {
     this.source = null;
     this.gainNode = null;
 
+    // Audio-rate analysis (falls back to per-frame FFT polling when unavailable)
+    this.analysisNode = null;
+    this.analysisPostInterval = 256; // samples between level updates (~5ms at 48kHz)
+    this.workletGains = null; // band gains last sent to the worklet's onset test
+
+    // Input source selection
+    this.inputSources = ['microphone', 'video', 'file', 'none'];
+    this.inputSource = 'microphone';
+    this.mediaElement = null;
+
+    // Microphone / interface input (device and channels are remembered in localStorage,
+    // not in presets, since they belong to the machine)
+    this.inputDeviceId = null; // null = OS default
+    this.inputChannels = null; // null = all channels mixed, else [index] or [left, right]
+    this.inputChannelCount = 0; // channels the open device delivers
+    this.activeDeviceId = null; // device actually open (differs from inputDeviceId after a fallback)
+    this.channelRouting = null; // { splitter, merger } while routing specific channels
+    this.loadInputPreference();
+
+    // Onset detector (energy or spectralFlux), remembered until the BeatDetector exists
+    this.beatDetectionMode = 'energy';
+
+    // Band layout for meters/tuning, remembered until the FrequencyAnalyzer exists (null = default)
+    this.bandLayout = null;
+
+    // Per-band AGC between the analyzer and everything that reads levels
+    this.bandNormalizer = new BandNormalizer();
+
+    // An element can only be wrapped once per context, so sources are reused
+    this.mediaElementSources = new WeakMap();
+
+    // Audio file transport (created with the context)
+    this.filePlayer = null;
+
     // Callbacks
     this.onPermissionGrantedCallback = null;
     this.onPermissionDeniedCallback = null;
     this.onErrorCallback = null;
     this.onAudioDataCallback = null;
+    this.onDevicesChangedCallback = null;
+
+    this.handleDeviceChange = this.handleDeviceChange.bind(this);
   }
 
   /**
-   * Request microphone permission and initialize audio context
+   * Initialize audio context and connect the input source
+   * @param {string} inputSource - microphone, video, file or none
    * @returns {Promise<boolean>}
    */
-  async initialize() {
+  async initialize(inputSource = this.inputSource) {
     try {
       // Create audio context with low latency settings
       this.audioContext = new (window.AudioContext || window.webkitAudioContext)({
@@ -42,28 +94,27 @@ export class AudioEngine {
 
       console.log(`Audio Context created: ${this.audioContext.sampleRate}Hz`);
 
-      // Request microphone access
-      const stream = await navigator.mediaDevices.getUserMedia({
-        audio: {
-          echoCancellation: false,
-          noiseSuppression: false,
-          autoGainControl: false,
-          latency: 0
-        },
-        video: false
-      });
+      // Create audio nodes
+      this.setupAudioNodes();
 
-      this.microphone = stream;
-      this.isEnabled = true;
+      // Hot-swap when interfaces are plugged or unplugged
+      navigator.mediaDevices?.addEventListener('devicechange', this.handleDeviceChange);
 
-      console.log('Microphone access granted');
+      // Connect the chosen input (asks for microphone permission if needed)
+      await this.setInputSource(inputSource);
 
-      // Create audio nodes
-      this.setupAudioNodes(stream);
+      this.isEnabled = true;
 
       // Create analyzers
       this.frequencyAnalyzer = new FrequencyAnalyzer(this.audioContext, this.analyzer);
+      if (this.bandLayout) {
+        this.setBandLayout(this.bandLayout);
+      }
       this.beatDetector = new BeatDetector();
+      this.beatDetector.setSampleRate(this.audioContext.sampleRate);
+      this.setBeatDetectionMode(this.beatDetectionMode);
+
+      await this.setupAnalysisWorklet();
 
       // Notify success
       if (this.onPermissionGrantedCallback) {
@@ -75,6 +126,11 @@ export class AudioEngine {
       console.error('Failed to initialize audio:', error);
       this.isEnabled = false;
 
+      if (this.audioContext) {
+        this.audioContext.close();
+        this.audioContext = null;
+      }
+
       if (error.name === 'NotAllowedError' || error.name === 'PermissionDeniedError') {
         if (this.onPermissionDeniedCallback) {
           this.onPermissionDeniedCallback(error);
@@ -89,12 +145,8 @@ export class AudioEngine {
 
   /**
    * Setup audio processing nodes
-   * @param {MediaStream} stream
    */
-  setupAudioNodes(stream) {
-    // Create source from microphone
-    this.source = this.audioContext.createMediaStreamSource(stream);
-
+  setupAudioNodes() {
     // Create analyzer node
     this.analyzer = this.audioContext.createAnalyser();
     this.analyzer.fftSize = 2048;
@@ -105,13 +157,466 @@ export class AudioEngine {
     this.gainNode.gain.value = 1.0;
 
     // Connect nodes: source -> gain -> analyzer
-    this.source.connect(this.gainNode);
     this.gainNode.connect(this.analyzer);
 
+    this.filePlayer = new AudioFilePlayer(this.audioContext);
+
     // Note: We don't connect to destination to avoid feedback
     console.log('Audio nodes configured');
   }
 
+  /**
+   * Load the AnalysisProcessor worklet and feed it from the gain node, next to the analyser
+   * @returns {Promise<boolean>} false when falling back to FFT polling
+   */
+  async setupAnalysisWorklet() {
+    if (!this.audioContext.audioWorklet) {
+      console.warn('AudioWorklet not supported, analysing once per frame');
+      return false;
+    }
+
+    try {
+      await this.audioContext.audioWorklet.addModule(analysisProcessorUrl);
+
+      this.analysisNode = new AudioWorkletNode(this.audioContext, 'analysis-processor', {
+        numberOfInputs: 1,
+        numberOfOutputs: 1,
+        outputChannelCount: [1],
+        processorOptions: {
+          bands: this.frequencyAnalyzer.getBandDefinitions(),
+          minDecibels: this.analyzer.minDecibels,
+          maxDecibels: this.analyzer.maxDecibels,
+          fftSize: this.analyzer.fftSize,
+          postInterval: this.analysisPostInterval,
+          sensitivity: this.beatDetector.sensitivity,
+          threshold: this.beatDetector.threshold,
+          minTimeBetweenBeats: this.beatDetector.minTimeBetweenBeats
+        }
+      });
+
+      // The output is silent; connecting it keeps the node pulled by the graph
+      this.gainNode.connect(this.analysisNode);
+      this.analysisNode.connect(this.audioContext.destination);
+
+      this.frequencyAnalyzer.attachWorklet(this.analysisNode);
+      this.workletGains = null;
+
+      console.log('Audio-rate analysis worklet active');
+      return true;
+    } catch (error) {
+      console.warn('Analysis worklet unavailable, falling back to per-frame FFT polling:', error);
+      this.analysisNode = null;
+      return false;
+    }
+  }
+
+  /**
+   * Switch the signal feeding the analysis chain
+   * @param {string} inputSource - microphone, video, file or none
+   * @returns {Promise<boolean>}
+   */
+  async setInputSource(inputSource) {
+    if (!this.inputSources.includes(inputSource)) {
+      console.warn(`Unknown audio input source: ${inputSource}`);
+      return false;
+    }
+
+    this.inputSource = inputSource;
+
+    // Before initialize() the choice is only remembered
+    if (!this.audioContext) return true;
+
+    this.disconnectSource();
+    this.bandNormalizer.reset();
+
+    if (inputSource === 'microphone') {
+      await this.connectMicrophone();
+    } else if (inputSource === 'video') {
+      this.connectMediaElement();
+    } else if (inputSource === 'file') {
+      this.filePlayer.output.connect(this.gainNode);
+      this.source = this.filePlayer.output;
+    }
+
+    console.log(`Audio input: ${inputSource}`);
+    return true;
+  }
+
+  /**
+   * Open the microphone and feed it into the analysis chain
+   */
+  async connectMicrophone() {
+    if (!this.microphone) {
+      this.microphone = await this.openInputDevice();
+
+      const track = this.microphone.getAudioTracks()[0];
+      const settings = track.getSettings();
+      this.activeDeviceId = settings.deviceId ?? null;
+      this.inputChannelCount = settings.channelCount ?? 0;
+
+      // Unplugging usually ends the track before devicechange fires
+      track.addEventListener('ended', this.handleDeviceChange);
+
+      console.log(`Microphone access granted: ${track.label} (${this.inputChannelCount || '?'}ch)`);
+    }
+
+    this.source = this.audioContext.createMediaStreamSource(this.microphone);
+
+    if (!this.inputChannelCount) {
+      this.inputChannelCount = this.source.channelCount;
+    }
+
+    this.connectInputChannels();
+  }
+
+  /**
+   * Ask for the remembered device, falling back to the default when it is missing
+   * @returns {Promise<MediaStream>}
+   */
+  async openInputDevice() {
+    const audio = {
+      echoCancellation: false,
+      noiseSuppression: false,
+      autoGainControl: false,
+      latency: 0,
+      channelCount: { ideal: 32 } // every channel the interface has
+    };
+
+    if (this.inputDeviceId) {
+      try {
+        return await navigator.mediaDevices.getUserMedia({
+          audio: { ...audio, deviceId: { exact: this.inputDeviceId } },
+          video: false
+        });
+      } catch (error) {
+        if (error.name !== 'OverconstrainedError' && error.name !== 'NotFoundError') {
+          throw error;
+        }
+        console.warn('Audio input device not found, using the default input');
+      }
+    }
+
+    return navigator.mediaDevices.getUserMedia({ audio, video: false });
+  }
+
+  /**
+   * Connect the microphone source to the analysis chain, picking out the chosen channels
+   */
+  connectInputChannels() {
+    const channels = this.inputChannels;
+    const usable = channels && channels.every(channel => channel < this.inputChannelCount);
+
+    if (!usable) {
+      if (channels) {
+        console.warn(`Input has ${this.inputChannelCount} channels, mixing all instead of ${channels.map(c => c + 1).join('+')}`);
+      }
+      this.source.connect(this.gainNode);
+      return;
+    }
+
+    const splitter = this.audioContext.createChannelSplitter(this.inputChannelCount);
+    const merger = this.audioContext.createChannelMerger(channels.length);
+
+    this.source.connect(splitter);
+    channels.forEach((channel, index) => splitter.connect(merger, channel, index));
+    merger.connect(this.gainNode);
+
+    this.channelRouting = { splitter, merger };
+  }
+
+  /**
+   * List audio input devices
+   * @returns {Promise<array>} [{ deviceId, label }]
+   */
+  async listInputDevices() {
+    if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) {
+      return [];
+    }
+
+    let devices;
+
+    try {
+      devices = await navigator.mediaDevices.enumerateDevices();
+    } catch (error) {
+      // Permission revoked or insecure context
+      console.warn('Failed to list audio input devices:', error);
+      return [];
+    }
+
+    return devices
+      .filter(device => device.kind === 'audioinput' && device.deviceId !== 'default')
+      .map((device, index) => ({
+        deviceId: device.deviceId,
+        label: device.label || `Input ${index + 1}`
+      }));
+  }
+
+  /**
+   * Choose the input device (null = OS default)
+   * @param {string|null} deviceId
+   * @returns {Promise<void>}
+   */
+  async setInputDevice(deviceId) {
+    this.inputDeviceId = deviceId || null;
+    this.saveInputPreference();
+    await this.reopenMicrophone();
+  }
+
+  /**
+   * Choose which channels of the device are analysed
+   * @param {number[]|null} channels - null = mix all, [index] or [left, right] (0-based)
+   */
+  setInputChannels(channels) {
+    this.inputChannels = Array.isArray(channels) && channels.length > 0 ? channels.slice(0, 2) : null;
+    this.saveInputPreference();
+
+    if (this.audioContext && this.inputSource === 'microphone' && this.microphone) {
+      this.disconnectSource();
+      this.source = this.audioContext.createMediaStreamSource(this.microphone);
+      this.connectInputChannels();
+    }
+  }
+
+  /**
+   * Close and reopen the microphone with the current device choice
+   * @returns {Promise<void>}
+   */
+  async reopenMicrophone() {
+    if (!this.audioContext || this.inputSource !== 'microphone') return;
+
+    this.disconnectSource();
+    this.releaseMicrophone();
+    await this.connectMicrophone();
+  }
+
+  /**
+   * Stop the microphone tracks
+   */
+  releaseMicrophone() {
+    if (!this.microphone) return;
+
+    this.microphone.getTracks().forEach(track => {
+      track.removeEventListener('ended', this.handleDeviceChange);
+      track.stop();
+    });
+    this.microphone = null;
+    this.activeDeviceId = null;
+    this.inputChannelCount = 0;
+  }
+
+  /**
+   * Devices were plugged/unplugged: move off a vanished device, or back to the remembered one
+   */
+  async handleDeviceChange() {
+    const devices = await this.listInputDevices();
+
+    if (this.onDevicesChangedCallback) {
+      try {
+        await this.onDevicesChangedCallback(devices);
+      } catch (error) {
+        console.warn('Audio device change callback failed:', error);
+      }
+    }
+
+    if (!this.audioContext || this.inputSource !== 'microphone') return;
+
+    const ids = devices.map(device => device.deviceId);
+    const track = this.microphone?.getAudioTracks()[0];
+    const lost = !track || track.readyState === 'ended' ||
+      (this.activeDeviceId && !ids.includes(this.activeDeviceId));
+    const remembered = this.inputDeviceId && this.activeDeviceId !== this.inputDeviceId &&
+      ids.includes(this.inputDeviceId);
+
+    if (!lost && !remembered) return;
+
+    console.log(lost ? 'Audio input device lost, switching input' : 'Remembered audio input device is back');
+
+    try {
+      await this.reopenMicrophone();
+    } catch (error) {
+      console.error('Failed to reopen audio input:', error);
+
+      if (this.onErrorCallback) {
+        this.onErrorCallback(error);
+      }
+    }
+  }
+
+  /**
+   * Remember the device and channel choice
+   */
+  saveInputPreference() {
+    try {
+      localStorage.setItem('audio-input-device', JSON.stringify({
+        deviceId: this.inputDeviceId,
+        channels: this.inputChannels
+      }));
+    } catch (error) {
+      console.error('Failed to save audio input device:', error);
+    }
+  }
+
+  /**
+   * Load the remembered device and channel choice
+   */
+  loadInputPreference() {
+    try {
+      const dataString = localStorage.getItem('audio-input-device');
+      if (!dataString) return;
+
+      const data = JSON.parse(dataString);
+      this.inputDeviceId = data.deviceId ?? null;
+      this.inputChannels = Array.isArray(data.channels) ? data.channels : null;
+    } catch (error) {
+      console.error('Failed to load audio input device:', error);
+    }
+  }
+
+  /**
+   * Get the open input's device and channels
+   * @returns {object}
+   */
+  getInputInfo() {
+    return {
+      deviceId: this.inputDeviceId,
+      activeDeviceId: this.activeDeviceId,
+      channels: this.inputChannels,
+      channelCount: this.inputChannelCount
+    };
+  }
+
+  /**
+   * Feed the current media element's soundtrack into the analysis chain
+   */
+  connectMediaElement() {
+    const element = this.mediaElement;
+
+    // Image sources have no soundtrack
+    if (!element || !(element instanceof HTMLMediaElement)) return;
+
+    let source = this.mediaElementSources.get(element);
+
+    if (!source) {
+      // Once wrapped, the element only plays through the context,
+      // so keep it routed to the speakers for as long as it lives
+      source = this.audioContext.createMediaElementSource(element);
+      source.connect(this.audioContext.destination);
+      this.mediaElementSources.set(element, source);
+    }
+
+    source.connect(this.gainNode);
+    this.source = source;
+  }
+
+  /**
+   * Detach the current input from the analysis chain
+   */
+  disconnectSource() {
+    if (this.source) {
+      // Element sources and the file player stay connected to the speakers
+      if (this.source instanceof MediaElementAudioSourceNode || this.source === this.filePlayer?.output) {
+        this.source.disconnect(this.gainNode);
+      } else {
+        this.source.disconnect();
+      }
+      this.source = null;
+    }
+
+    if (this.channelRouting) {
+      this.channelRouting.splitter.disconnect();
+      this.channelRouting.merger.disconnect();
+      this.channelRouting = null;
+    }
+
+    // Release the microphone when it is no longer the input
+    if (this.microphone && this.inputSource !== 'microphone') {
+      this.releaseMicrophone();
+    }
+
+    // A file that isn't analysed shouldn't keep playing
+    if (this.filePlayer && this.inputSource !== 'file') {
+      this.filePlayer.pause();
+    }
+  }
+
+  /**
+   * Decode an audio file for the 'file' input
+   * @param {File} file
+   * @returns {Promise<boolean>}
+   */
+  async loadAudioFile(file) {
+    if (!this.filePlayer) {
+      console.warn('Audio engine not initialized');
+      return false;
+    }
+
+    try {
+      await this.filePlayer.load(file);
+      this.beatDetector?.reset();
+      return true;
+    } catch (error) {
+      console.error(`Failed to decode audio file ${file.name}:`, error);
+
+      if (this.onErrorCallback) {
+        this.onErrorCallback(error);
+      }
+
+      return false;
+    }
+  }
+
+  /**
+   * Audio file transport
+   */
+  playFile() {
+    this.filePlayer?.play();
+  }
+
+  pauseFile() {
+    this.filePlayer?.pause();
+  }
+
+  stopFile() {
+    this.filePlayer?.stop();
+  }
+
+  /**
+   * @param {number} time - Seconds
+   */
+  seekFile(time) {
+    this.filePlayer?.seek(time);
+  }
+
+  /**
+   * @param {boolean} loop
+   */
+  setFileLoop(loop) {
+    this.filePlayer?.setLoop(loop);
+  }
+
+  /**
+   * Get audio file transport state
+   * @returns {object|null}
+   */
+  getFileState() {
+    return this.filePlayer ? this.filePlayer.getState() : null;
+  }
+
+  /**
+   * Set the media element whose soundtrack the 'video' input analyses
+   * @param {HTMLMediaElement|null} element
+   */
+  setMediaElement(element) {
+    if (element === this.mediaElement) return;
+
+    this.mediaElement = element;
+
+    if (this.audioContext && this.inputSource === 'video') {
+      this.disconnectSource();
+      this.connectMediaElement();
+    }
+  }
+
   /**
    * Start audio analysis
    */
@@ -151,19 +656,34 @@ export class AudioEngine {
     // Analyze frequencies
     this.frequencyAnalyzer.analyze();
 
-    // Get levels
-    const levels = this.frequencyAnalyzer.getAllLevels();
+    // Get levels, normalized so quiet and loud rooms drive beats and visuals alike
+    const rawLevels = this.frequencyAnalyzer.getAllLevels();
+    const levels = this.bandNormalizer.process(rawLevels);
+    const spectrum = this.frequencyAnalyzer.getSpectrumData();
+    this.syncWorkletGains();
 
     // Detect beats
-    const isBeat = this.beatDetector.analyze(levels);
+    // Worklet onsets are timestamped at audio rate, so beats don't alias at low FPS
+    const isBeat = this.beatDetector.analyze(
+      levels,
+      this.bandNormalizer.applyToSpectrum(
+        spectrum,
+        this.frequencyAnalyzer.getBandDefinitions(),
+        this.audioContext.sampleRate / this.analyzer.fftSize
+      ),
+      this.frequencyAnalyzer.consumeOnsets()
+    );
 
     // Prepare audio data
     const audioData = {
       levels,
-      smoothedLevels: this.frequencyAnalyzer.getAllSmoothedLevels(),
+      rawLevels,
+      smoothedLevels: this.bandNormalizer.apply(this.frequencyAnalyzer.getAllSmoothedLevels()),
+      layoutBands: this.frequencyAnalyzer.getLayoutLevels(),
+      features: this.frequencyAnalyzer.getFeatures(),
       beatDetector: this.beatDetector.getState(),
       isBeat,
-      spectrum: this.frequencyAnalyzer.getSpectrumData()
+      spectrum
     };
 
     // Notify callback
@@ -174,12 +694,32 @@ export class AudioEngine {
     return audioData;
   }
 
+  /**
+   * Send the band gains to the analysis worklet, so its onset test runs on normalized energy too
+   * Only changes over 1% are sent, to keep port traffic down
+   */
+  syncWorkletGains() {
+    if (!this.analysisNode) return;
+
+    const gains = this.bandNormalizer.enabled ? this.bandNormalizer.getGains() : {};
+    const previous = this.workletGains;
+    const changed = !previous || Object.keys({ ...gains, ...previous }).some(name => {
+      const last = previous[name] ?? 1;
+      return Math.abs((gains[name] ?? 1) - last) > last * 0.01;
+    });
+
+    if (changed) {
+      this.workletGains = gains;
+      this.frequencyAnalyzer.configureWorklet({ gains });
+    }
+  }
+
   /**
    * Get current audio levels
    * @returns {object}
    */
   getLevels() {
-    return this.frequencyAnalyzer ? this.frequencyAnalyzer.getAllLevels() : null;
+    return this.frequencyAnalyzer ? this.bandNormalizer.apply(this.frequencyAnalyzer.getAllLevels()) : null;
   }
 
   /**
@@ -187,7 +727,78 @@ export class AudioEngine {
    * @returns {object}
    */
   getSmoothedLevels() {
-    return this.frequencyAnalyzer ? this.frequencyAnalyzer.getAllSmoothedLevels() : null;
+    return this.frequencyAnalyzer ? this.bandNormalizer.apply(this.frequencyAnalyzer.getAllSmoothedLevels()) : null;
+  }
+
+  /**
+   * Change level normalization
+   * @param {object} settings - enabled, frozen, attack, release (s), floor, ceiling
+   */
+  setNormalization(settings) {
+    this.bandNormalizer.setSettings(settings);
+  }
+
+  /**
+   * Get level normalization settings and state
+   * @returns {object}
+   */
+  getNormalization() {
+    return {
+      ...this.bandNormalizer.getSettings(),
+      frozen: this.bandNormalizer.frozen,
+      gains: this.bandNormalizer.getGains()
+    };
+  }
+
+  /**
+   * Get every audio value that can drive a parameter, each normalized to 0-1
+   * Frequencies (centroid, spread, rolloff) are log-scaled so brightness changes read evenly
+   * @returns {object} name -> value
+   */
+  getModulationSources() {
+    if (!this.frequencyAnalyzer) {
+      return {};
+    }
+
+    const analyzer = this.frequencyAnalyzer;
+    const levels = this.bandNormalizer.apply(analyzer.getAllLevels());
+    const features = analyzer.features;
+    const beatState = this.beatDetector.getState();
+    const drums = beatState.drums;
+
+    const sources = {
+      ...levels,
+      beat: beatState.isBeat ? 1 : 0,
+      beatPhase: beatState.beatPhase,
+      kick: drums.kick.envelope,
+      snare: drums.snare.envelope,
+      hiHat: drums.hiHat.envelope,
+      centroid: analyzer.normalizeFrequency(features.centroid),
+      spread: analyzer.normalizeFrequency(features.spread),
+      flatness: features.flatness,
+      rolloff: analyzer.normalizeFrequency(features.rolloff),
+      zcr: features.zcr
+    };
+
+    CHROMA_NAMES.forEach((name, index) => {
+      sources[`chroma${name}`] = features.chroma[index];
+    });
+
+    return sources;
+  }
+
+  /**
+   * Get the names of the modulation sources
+   * A non-standard band layout adds its bands by name (once audio is enabled)
+   * @returns {string[]}
+   */
+  getModulationSourceNames() {
+    const layout = this.getBandLayout();
+    const layoutBands = layout && layout.type !== 'named'
+      ? this.getLayoutBands().map(band => band.name)
+      : [];
+
+    return [...MODULATION_SOURCE_NAMES, ...layoutBands];
   }
 
   /**
@@ -205,7 +816,63 @@ export class AudioEngine {
   setBeatSensitivity(value) {
     if (this.beatDetector) {
       this.beatDetector.setSensitivity(value);
+      this.frequencyAnalyzer.configureWorklet({ sensitivity: this.beatDetector.sensitivity });
+    }
+  }
+
+  /**
+   * Switch the beat detector's onset detection
+   * @param {string} mode - energy or spectralFlux
+   * @returns {boolean}
+   */
+  setBeatDetectionMode(mode) {
+    if (!this.beatDetector) {
+      this.beatDetectionMode = mode;
+      return true;
+    }
+
+    const success = this.beatDetector.setDetectionMode(mode);
+    this.beatDetectionMode = this.beatDetector.detectionMode;
+    return success;
+  }
+
+  /**
+   * Change the analysis band layout
+   * @param {object} layout - See FrequencyAnalyzer.setBandLayout
+   * @returns {boolean}
+   */
+  setBandLayout(layout) {
+    if (!this.frequencyAnalyzer) {
+      this.bandLayout = { ...this.bandLayout, ...layout };
+      return true;
     }
+
+    const success = this.frequencyAnalyzer.setBandLayout(layout);
+    this.bandLayout = this.frequencyAnalyzer.getBandLayout();
+
+    // Gains are learned per band, and the worklet's rebuilt filters start at unity
+    if (success) {
+      this.bandNormalizer.reset();
+      this.workletGains = null;
+    }
+
+    return success;
+  }
+
+  /**
+   * Get the analysis band layout settings
+   * @returns {object|null}
+   */
+  getBandLayout() {
+    return this.frequencyAnalyzer ? this.frequencyAnalyzer.getBandLayout() : this.bandLayout;
+  }
+
+  /**
+   * Get layout band levels
+   * @returns {object[]}
+   */
+  getLayoutBands() {
+    return this.frequencyAnalyzer ? this.frequencyAnalyzer.getLayoutLevels() : [];
   }
 
   /**
@@ -238,6 +905,19 @@ export class AudioEngine {
     }
   }
 
+  /**
+   * Get serializable input settings
+   * @returns {object}
+   */
+  getState() {
+    return {
+      inputSource: this.inputSource,
+      beatDetectionMode: this.beatDetectionMode,
+      bandLayout: this.getBandLayout(),
+      normalization: this.bandNormalizer.getSettings()
+    };
+  }
+
   /**
    * Get audio context latency info
    * @returns {object}
@@ -280,6 +960,19 @@ export class AudioEngine {
     this.onAudioDataCallback = callback;
   }
 
+  onDevicesChanged(callback) {
+    this.onDevicesChangedCallback = callback;
+  }
+
+  /**
+   * Register a callback for the audio file playing to its end
+   */
+  onFileEnded(callback) {
+    if (this.filePlayer) {
+      this.filePlayer.onEnded(callback);
+    }
+  }
+
   /**
    * Register beat detection callbacks
    */
@@ -289,6 +982,15 @@ export class AudioEngine {
     }
   }
 
+  onTempoBeat(callback) {
+    if (this.beatDetector) {
+      this.beatDetector.onTempoBeat(callback);
+    }
+  }
+
+  /**
+   * Drum hits: { timestamp, energy, strength, confidence }
+   */
   onKick(callback) {
     if (this.beatDetector) {
       this.beatDetector.onKick(callback);
@@ -314,9 +1016,11 @@ export class AudioEngine {
     this.stop();
 
     // Disconnect audio nodes
-    if (this.source) {
-      this.source.disconnect();
-      this.source = null;
+    this.disconnectSource();
+
+    if (this.filePlayer) {
+      this.filePlayer.dispose();
+      this.filePlayer = null;
     }
 
     if (this.gainNode) {
@@ -324,16 +1028,19 @@ export class AudioEngine {
       this.gainNode = null;
     }
 
+    if (this.analysisNode) {
+      this.analysisNode.disconnect();
+      this.analysisNode = null;
+    }
+
     if (this.analyzer) {
       this.analyzer.disconnect();
       this.analyzer = null;
     }
 
     // Stop microphone tracks
-    if (this.microphone) {
-      this.microphone.getTracks().forEach(track => track.stop());
-      this.microphone = null;
-    }
+    this.releaseMicrophone();
+    navigator.mediaDevices?.removeEventListener('devicechange', this.handleDeviceChange);
 
     // Close audio context
     if (this.audioContext) {
@@ -368,6 +1075,10 @@ export class AudioEngine {
       isRunning: this.isRunning,
       audioContext: this.audioContext ? this.audioContext.state : 'null',
       latency: this.getLatencyInfo(),
+      inputSource: this.inputSource,
+      input: this.getInputInfo(),
+      analysis: this.analysisNode ? 'worklet' : 'fft',
+      audioFile: this.getFileState(),
       beatStats: this.beatDetector ? this.beatDetector.getStatistics() : null
     };
   }
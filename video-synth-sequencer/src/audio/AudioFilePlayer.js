@@ -0,0 +1,208 @@
+/**
+ * AudioFilePlayer.js
+ * Decoded audio file playback with transport (play, pause, seek, loop)
+ * AudioBufferSourceNodes are one-shot, so a new one is started on every play/seek
+ */
+
+export class AudioFilePlayer {
+  /**
+   * @param {AudioContext} audioContext
+   */
+  constructor(audioContext) {
+    this.audioContext = audioContext;
+
+    this.buffer = null;
+    this.fileName = null;
+    this.sourceNode = null;
+
+    // Stable output: AudioEngine taps it for analysis, and it stays routed to the speakers
+    this.output = audioContext.createGain();
+    this.output.connect(audioContext.destination);
+
+    // Transport
+    this.isPlaying = false;
+    this.loop = false;
+    this.startedAt = 0; // context time that corresponds to position 0 of the current run
+    this.offset = 0; // seconds, position while paused
+
+    // Callbacks
+    this.onEndedCallback = null;
+  }
+
+  /**
+   * Decode an audio file (MP3, WAV, OGG, FLAC - whatever the browser decodes)
+   * @param {File} file
+   * @returns {Promise<void>}
+   */
+  async load(file) {
+    const arrayBuffer = await file.arrayBuffer();
+    const buffer = await this.audioContext.decodeAudioData(arrayBuffer);
+
+    this.stop();
+    this.buffer = buffer;
+    this.fileName = file.name;
+
+    console.log(`Audio file loaded: ${file.name} (${buffer.duration.toFixed(1)}s, ${buffer.numberOfChannels}ch)`);
+  }
+
+  /**
+   * Start or resume playback
+   */
+  play() {
+    if (!this.buffer || this.isPlaying) return;
+
+    if (this.audioContext.state === 'suspended') {
+      this.audioContext.resume();
+    }
+
+    // Resume from the top after the track ran out
+    if (this.offset >= this.buffer.duration) {
+      this.offset = 0;
+    }
+
+    const source = this.audioContext.createBufferSource();
+    source.buffer = this.buffer;
+    source.loop = this.loop;
+    source.connect(this.output);
+    source.onended = () => this.handleEnded(source);
+    source.start(0, this.offset);
+
+    this.sourceNode = source;
+    this.startedAt = this.audioContext.currentTime - this.offset;
+    this.isPlaying = true;
+  }
+
+  /**
+   * Pause, keeping the position
+   */
+  pause() {
+    if (!this.isPlaying) return;
+
+    this.offset = this.getCurrentTime();
+    this.stopSource();
+    this.isPlaying = false;
+  }
+
+  /**
+   * Stop and rewind
+   */
+  stop() {
+    this.pause();
+    this.offset = 0;
+  }
+
+  /**
+   * Jump to a position
+   * @param {number} time - Seconds
+   */
+  seek(time) {
+    if (!this.buffer) return;
+
+    const wasPlaying = this.isPlaying;
+
+    this.pause();
+    this.offset = Math.max(0, Math.min(this.buffer.duration, time));
+
+    if (wasPlaying) {
+      this.play();
+    }
+  }
+
+  /**
+   * Enable/disable looping of the whole track
+   * @param {boolean} loop
+   */
+  setLoop(loop) {
+    // Re-anchor so the position stays right when a looped run stops looping
+    if (this.isPlaying) {
+      this.offset = this.getCurrentTime();
+      this.startedAt = this.audioContext.currentTime - this.offset;
+    }
+
+    this.loop = Boolean(loop);
+
+    if (this.sourceNode) {
+      this.sourceNode.loop = this.loop;
+    }
+  }
+
+  /**
+   * Get playback position
+   * @returns {number} Seconds
+   */
+  getCurrentTime() {
+    if (!this.buffer) return 0;
+    if (!this.isPlaying) return this.offset;
+
+    const elapsed = this.audioContext.currentTime - this.startedAt;
+    return this.loop ? elapsed % this.buffer.duration : Math.min(elapsed, this.buffer.duration);
+  }
+
+  /**
+   * Get track length
+   * @returns {number} Seconds
+   */
+  getDuration() {
+    return this.buffer ? this.buffer.duration : 0;
+  }
+
+  /**
+   * Stop the current source node without triggering the ended handler
+   */
+  stopSource() {
+    if (!this.sourceNode) return;
+
+    this.sourceNode.onended = null;
+    this.sourceNode.stop();
+    this.sourceNode.disconnect();
+    this.sourceNode = null;
+  }
+
+  /**
+   * Track played to the end (never fires while looping)
+   * @param {AudioBufferSourceNode} source
+   */
+  handleEnded(source) {
+    if (source !== this.sourceNode) return;
+
+    source.disconnect();
+    this.sourceNode = null;
+    this.isPlaying = false;
+    this.offset = this.buffer.duration;
+
+    if (this.onEndedCallback) {
+      this.onEndedCallback();
+    }
+  }
+
+  /**
+   * Get transport state
+   * @returns {object}
+   */
+  getState() {
+    return {
+      fileName: this.fileName,
+      duration: this.getDuration(),
+      currentTime: this.getCurrentTime(),
+      isPlaying: this.isPlaying,
+      loop: this.loop
+    };
+  }
+
+  /**
+   * Register callbacks
+   */
+  onEnded(callback) {
+    this.onEndedCallback = callback;
+  }
+
+  /**
+   * Stop playback and release the buffer
+   */
+  dispose() {
+    this.stopSource();
+    this.output.disconnect();
+    this.buffer = null;
+    this.isPlaying = false;
+  }
+}
@@ -0,0 +1,189 @@
+/**
+ * BandNormalizer.js
+ * Per-band automatic gain control: each level is scaled so its recent peak sits at the ceiling,
+ * making reactivity look the same in a quiet room and a loud venue
+ */
+
+export class BandNormalizer {
+  constructor() {
+    this.enabled = true;
+    this.frozen = false; // keep the current gains (e.g. through a breakdown, so visuals fade instead of re-gaining)
+
+    this.attack = 0.1; // seconds for the reference to follow a louder level
+    this.release = 5; // seconds for the reference to fall back after it gets quieter
+    this.floor = 0.1; // lowest reference; quieter input (silence, room noise) is not amplified further
+    this.ceiling = 0.8; // output level of the reference, leaving headroom for transients
+
+    // Per level (band names, rms, peak, overall): reference level and current gain
+    this.references = {};
+    this.gains = {};
+
+    this.spectrum = null; // reused output of applyToSpectrum()
+    this.lastUpdateTime = 0;
+  }
+
+  /**
+   * Update the references from raw levels and return normalized levels
+   * @param {object} levels - FrequencyAnalyzer.getAllLevels()
+   * @returns {object} Same keys, normalized 0-1
+   */
+  process(levels) {
+    const now = performance.now();
+    const deltaTime = this.lastUpdateTime ? Math.min(0.25, (now - this.lastUpdateTime) / 1000) : 0;
+    this.lastUpdateTime = now;
+
+    if (this.enabled && !this.frozen) {
+      const attackCoefficient = 1 - Math.exp(-deltaTime / this.attack);
+      const releaseCoefficient = 1 - Math.exp(-deltaTime / this.release);
+
+      for (const [name, level] of Object.entries(levels)) {
+        const reference = this.references[name] ?? level;
+        const coefficient = level > reference ? attackCoefficient : releaseCoefficient;
+
+        this.references[name] = reference + (level - reference) * coefficient;
+        this.gains[name] = this.ceiling / Math.max(this.references[name], this.floor);
+      }
+    }
+
+    return this.apply(levels);
+  }
+
+  /**
+   * Scale levels by the current gains without updating them (e.g. smoothed levels)
+   * @param {object} levels
+   * @returns {object}
+   */
+  apply(levels) {
+    if (!this.enabled) {
+      return { ...levels };
+    }
+
+    const normalized = {};
+
+    for (const [name, level] of Object.entries(levels)) {
+      normalized[name] = Math.min(1, level * (this.gains[name] ?? 1));
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Scale spectrum bins by the gain of the band they fall in (bins outside every band pass through)
+   * @param {Uint8Array} spectrum - FrequencyAnalyzer.getSpectrumData()
+   * @param {object[]} bands - FrequencyAnalyzer.getBandDefinitions()
+   * @param {number} binWidth - Hz per bin
+   * @returns {Uint8Array} Normalized copy, overwritten by the next call
+   */
+  applyToSpectrum(spectrum, bands, binWidth) {
+    if (!this.spectrum || this.spectrum.length !== spectrum.length) {
+      this.spectrum = new Uint8Array(spectrum.length);
+    }
+
+    this.spectrum.set(spectrum);
+    if (!this.enabled) return this.spectrum;
+
+    for (const band of bands) {
+      const gain = this.gains[band.name] ?? 1;
+      const startBin = Math.max(0, Math.round(band.min / binWidth));
+      const endBin = Math.min(spectrum.length - 1, Math.round(band.max / binWidth));
+
+      for (let i = startBin; i <= endBin; i++) {
+        this.spectrum[i] = Math.min(255, spectrum[i] * gain);
+      }
+    }
+
+    return this.spectrum;
+  }
+
+  /**
+   * Enable/disable normalization (disabled passes levels through)
+   * @param {boolean} enabled
+   */
+  setEnabled(enabled) {
+    this.enabled = Boolean(enabled);
+  }
+
+  /**
+   * Freeze/unfreeze the current gains
+   * @param {boolean} frozen
+   */
+  setFrozen(frozen) {
+    this.frozen = Boolean(frozen);
+  }
+
+  /**
+   * Set attack time
+   * @param {number} seconds - 0.005 to 5
+   */
+  setAttack(seconds) {
+    this.attack = Math.max(0.005, Math.min(5, seconds));
+  }
+
+  /**
+   * Set release time
+   * @param {number} seconds - 0.1 to 60
+   */
+  setRelease(seconds) {
+    this.release = Math.max(0.1, Math.min(60, seconds));
+  }
+
+  /**
+   * Set the lowest reference level
+   * @param {number} value - 0.01 to 1
+   */
+  setFloor(value) {
+    this.floor = Math.max(0.01, Math.min(1, value));
+  }
+
+  /**
+   * Set the output level of the reference
+   * @param {number} value - 0.1 to 1
+   */
+  setCeiling(value) {
+    this.ceiling = Math.max(0.1, Math.min(1, value));
+  }
+
+  /**
+   * Apply several settings at once
+   * @param {object} settings - enabled, frozen, attack, release, floor, ceiling
+   */
+  setSettings(settings) {
+    if (settings.enabled !== undefined) this.setEnabled(settings.enabled);
+    if (settings.frozen !== undefined) this.setFrozen(settings.frozen);
+    if (settings.attack !== undefined) this.setAttack(settings.attack);
+    if (settings.release !== undefined) this.setRelease(settings.release);
+    if (settings.floor !== undefined) this.setFloor(settings.floor);
+    if (settings.ceiling !== undefined) this.setCeiling(settings.ceiling);
+  }
+
+  /**
+   * Get serializable settings (freeze is a live toggle and is not saved)
+   * @returns {object}
+   */
+  getSettings() {
+    return {
+      enabled: this.enabled,
+      attack: this.attack,
+      release: this.release,
+      floor: this.floor,
+      ceiling: this.ceiling
+    };
+  }
+
+  /**
+   * Get the current gain per level
+   * @returns {object}
+   */
+  getGains() {
+    return { ...this.gains };
+  }
+
+  /**
+   * Forget the learned references (e.g. after switching input)
+   */
+  reset() {
+    this.references = {};
+    this.gains = {};
+    this.lastUpdateTime = 0;
+  }
+}
@@ -1,8 +1,11 @@
 /**
  * BeatDetector.js
- * Transient/beat detection with adjustable sensitivity
+ * Transient/beat detection with adjustable sensitivity and tempo tracking
  */
 
+import { TempoTracker } from './TempoTracker.js';
+import { DrumDetector } from './DrumDetector.js';
+
 export class BeatDetector {
   constructor() {
     this.sensitivity = 1.0;
@@ -10,6 +13,12 @@ export class BeatDetector {
     this.minTimeBetweenBeats = 100; // ms
     this.lastBeatTime = 0;
 
+    // Onset detection: 'energy' compares bass/low-mid against a rolling average,
+    // 'spectralFlux' picks peaks of the full-spectrum flux (works beyond four-on-the-floor)
+    this.detectionModes = ['energy', 'spectralFlux'];
+    this.detectionMode = 'energy';
+
+    this.isBeat = false; // onset this frame (from the selected detector)
     this.isKick = false;
     this.isSnare = false;
     this.isHiHat = false;
@@ -20,11 +29,38 @@ export class BeatDetector {
     this.energyAverage = 0;
     this.energyVariance = 0;
 
+    // Spectral flux peak picking
+    this.previousSpectrum = null;
+    this.fluxHistory = [];
+    this.fluxHistorySize = 43; // ~1 second at 60fps
+    this.fluxPreMax = 3; // frames before the candidate it must exceed
+    this.fluxEnvelope = 0; // decaying threshold that follows loud onsets
+    this.fluxEnvelopeDecay = 0.9;
+    this.minFlux = 0.005; // ignore noise-floor flicker
+    this.flux = 0;
+    this.lastFrameTime = 0;
+
+    // Last onset (either mode)
+    this.onsetStrength = 0;
+    this.onsetConfidence = 0;
+
     // Specific frequency ranges for different drum elements
     this.kickRange = { min: 60, max: 120 };      // Kick drum
     this.snareRange = { min: 150, max: 250 };    // Snare
     this.hiHatRange = { min: 5000, max: 10000 }; // Hi-hat
 
+    // One onset detector per drum element on the spectrum bins of its range
+    this.sampleRate = 48000; // maps spectrum bins to Hz (see setSampleRate)
+    this.drums = {
+      kick: new DrumDetector('kick', this.kickRange, { holdOff: 150, decay: 0.2 }),
+      snare: new DrumDetector('snare', this.snareRange, { holdOff: 120, decay: 0.15 }),
+      hiHat: new DrumDetector('hiHat', this.hiHatRange, { holdOff: 60, decay: 0.08 })
+    };
+    this.drumHits = {};
+
+    // BPM, beat phase and predicted beats from the detected onsets
+    this.tempoTracker = new TempoTracker();
+
     // Beat callbacks
     this.onBeatCallback = null;
     this.onKickCallback = null;
@@ -35,8 +71,10 @@ export class BeatDetector {
   /**
    * Analyze audio levels and detect beats
    * @param {object} levels - Frequency levels from FrequencyAnalyzer
+   * @param {Uint8Array|null} spectrum - FrequencyAnalyzer.getSpectrumData(), needed for spectral flux
+   * @param {object[]|null} onsets - Audio-rate onsets from FrequencyAnalyzer.consumeOnsets() (energy mode)
    */
-  analyze(levels) {
+  analyze(levels, spectrum = null, onsets = null) {
     const currentTime = performance.now();
 
     // Use bass and low-mid for overall beat detection
@@ -52,33 +90,52 @@ export class BeatDetector {
     // Calculate average and variance
     this.calculateStatistics();
 
-    // Detect beat using adaptive threshold
-    const isBeat = this.detectBeat(energy, currentTime);
+    // Detect beat with the selected onset detector
+    const useWorkletOnsets = this.detectionMode === 'energy' && onsets !== null;
+    let isBeat;
+
+    if (this.detectionMode === 'spectralFlux' && spectrum) {
+      isBeat = this.detectFluxOnset(spectrum, currentTime);
+    } else if (useWorkletOnsets) {
+      isBeat = this.acceptOnsets(onsets);
+    } else {
+      isBeat = this.detectBeat(energy, currentTime);
+    }
+    this.isBeat = isBeat;
+
+    // Track tempo (fires clock beats through onTempoBeat; worklet onsets are added as accepted)
+    if (isBeat && !useWorkletOnsets) {
+      this.tempoTracker.addOnset(this.lastBeatTime);
+    }
+    this.tempoTracker.update(currentTime);
 
     // Detect specific drum elements
-    this.isKick = this.detectKick(levels, currentTime);
-    this.isSnare = this.detectSnare(levels, currentTime);
-    this.isHiHat = this.detectHiHat(levels, currentTime);
+    this.drumHits = spectrum ? this.detectDrums(spectrum, currentTime) : {};
+    this.isKick = Boolean(this.drumHits.kick);
+    this.isSnare = Boolean(this.drumHits.snare);
+    this.isHiHat = Boolean(this.drumHits.hiHat);
 
     // Trigger callbacks
     if (isBeat && this.onBeatCallback) {
       this.onBeatCallback({
         energy,
-        confidence: this.calculateConfidence(energy),
-        timestamp: currentTime
+        onsetStrength: this.onsetStrength,
+        confidence: this.onsetConfidence,
+        mode: this.detectionMode,
+        timestamp: this.lastBeatTime
       });
     }
 
     if (this.isKick && this.onKickCallback) {
-      this.onKickCallback({ timestamp: currentTime });
+      this.onKickCallback(this.drumHits.kick);
     }
 
     if (this.isSnare && this.onSnareCallback) {
-      this.onSnareCallback({ timestamp: currentTime });
+      this.onSnareCallback(this.drumHits.snare);
     }
 
     if (this.isHiHat && this.onHiHatCallback) {
-      this.onHiHatCallback({ timestamp: currentTime });
+      this.onHiHatCallback(this.drumHits.hiHat);
     }
 
     return isBeat;
@@ -122,6 +179,8 @@ export class BeatDetector {
     // Beat detected if energy exceeds threshold
     if (energy > adaptiveThreshold && energy > this.threshold) {
       this.lastBeatTime = currentTime;
+      this.onsetStrength = energy;
+      this.onsetConfidence = this.calculateConfidence(energy);
       return true;
     }
 
@@ -129,45 +188,166 @@ export class BeatDetector {
   }
 
   /**
-   * Detect kick drum
-   * @param {object} levels
-   * @param {number} currentTime
+   * Take onsets detected at audio rate by the analysis worklet
+   * @param {object[]} onsets - { timestamp, energy, confidence }
    * @returns {boolean}
    */
-  detectKick(levels, currentTime) {
-    const kickEnergy = levels.bass + levels.subBass * 0.5;
-    const kickThreshold = 0.4 * this.sensitivity;
+  acceptOnsets(onsets) {
+    let isBeat = false;
+
+    for (const onset of onsets) {
+      if (onset.timestamp - this.lastBeatTime < this.minTimeBetweenBeats) continue;
 
-    return kickEnergy > kickThreshold &&
-           levels.bass > levels.mid * 1.2;
+      this.lastBeatTime = onset.timestamp;
+      this.onsetStrength = onset.energy;
+      this.onsetConfidence = onset.confidence;
+      this.tempoTracker.addOnset(onset.timestamp);
+      isBeat = true;
+    }
+
+    return isBeat;
   }
 
   /**
-   * Detect snare drum
-   * @param {object} levels
+   * Detect an onset from spectral flux with adaptive peak picking
+   * The newest frame is look-ahead, so onsets are reported one frame late
+   * @param {Uint8Array} spectrum
    * @param {number} currentTime
    * @returns {boolean}
    */
-  detectSnare(levels, currentTime) {
-    const snareEnergy = levels.lowMid + levels.mid * 0.5;
-    const snareThreshold = 0.35 * this.sensitivity;
+  detectFluxOnset(spectrum, currentTime) {
+    this.flux = this.calculateSpectralFlux(spectrum);
+
+    const history = this.fluxHistory;
+    history.push(this.flux);
+
+    if (history.length > this.fluxHistorySize) {
+      history.shift();
+    }
+
+    const candidateTime = this.lastFrameTime;
+    this.lastFrameTime = currentTime;
 
-    return snareEnergy > snareThreshold &&
-           levels.mid > levels.bass * 0.8;
+    const count = history.length;
+    if (count < this.fluxPreMax + 2) return false;
+
+    const candidate = history[count - 2];
+    const envelope = this.fluxEnvelope;
+    this.fluxEnvelope = Math.max(candidate, envelope * this.fluxEnvelopeDecay + candidate * (1 - this.fluxEnvelopeDecay));
+
+    if (candidateTime - this.lastBeatTime < this.minTimeBetweenBeats) {
+      return false;
+    }
+
+    // Local maximum against the look-ahead frame and the frames before
+    if (candidate < this.flux || candidate < this.minFlux) return false;
+
+    for (let i = count - 2 - this.fluxPreMax; i < count - 2; i++) {
+      if (history[i] > candidate) return false;
+    }
+
+    // Adaptive threshold from the local mean and deviation, like the energy detector
+    const mean = history.reduce((acc, val) => acc + val, 0) / count;
+    const deviation = Math.sqrt(history.reduce((acc, val) => acc + (val - mean) * (val - mean), 0) / count);
+    const adaptiveThreshold = mean + deviation * this.sensitivity * 1.5;
+
+    if (candidate <= adaptiveThreshold || candidate < envelope) {
+      return false;
+    }
+
+    this.lastBeatTime = candidateTime;
+    this.onsetStrength = candidate;
+    this.onsetConfidence = Math.min(1, (candidate - adaptiveThreshold) / adaptiveThreshold);
+    return true;
   }
 
   /**
-   * Detect hi-hat
-   * @param {object} levels
-   * @param {number} currentTime
+   * Half-wave rectified spectral flux (rises only), normalized 0-1
+   * @param {Uint8Array} spectrum - Byte frequency data (dB scaled)
+   * @returns {number}
+   */
+  calculateSpectralFlux(spectrum) {
+    // FFT size changes resize the spectrum
+    if (!this.previousSpectrum || this.previousSpectrum.length !== spectrum.length) {
+      this.previousSpectrum = Float32Array.from(spectrum);
+      return 0;
+    }
+
+    let sum = 0;
+
+    for (let i = 0; i < spectrum.length; i++) {
+      const rise = spectrum[i] - this.previousSpectrum[i];
+      if (rise > 0) sum += rise;
+      this.previousSpectrum[i] = spectrum[i];
+    }
+
+    return sum / (spectrum.length * 255);
+  }
+
+  /**
+   * Switch the onset detector
+   * @param {string} mode - energy or spectralFlux
    * @returns {boolean}
    */
-  detectHiHat(levels, currentTime) {
-    const hiHatEnergy = levels.presence + levels.air * 0.5;
-    const hiHatThreshold = 0.25 * this.sensitivity;
+  setDetectionMode(mode) {
+    if (!this.detectionModes.includes(mode)) {
+      console.warn(`Unknown beat detection mode: ${mode}`);
+      return false;
+    }
+
+    this.detectionMode = mode;
+
+    // Stale flux would fire a false onset on the first frame back
+    this.previousSpectrum = null;
+    this.fluxHistory = [];
+    this.fluxEnvelope = 0;
+    this.flux = 0;
+
+    console.log(`Beat detection mode: ${mode}`);
+    return true;
+  }
 
-    return hiHatEnergy > hiHatThreshold &&
-           levels.presence > levels.mid * 0.5;
+  /**
+   * Run the kick, snare and hi-hat detectors on the spectrum
+   * @param {Uint8Array} spectrum
+   * @param {number} currentTime
+   * @returns {object} Hits by drum name ({ timestamp, energy, strength, confidence })
+   */
+  detectDrums(spectrum, currentTime) {
+    const binWidth = this.sampleRate / (spectrum.length * 2);
+    const hits = {};
+
+    for (const [name, detector] of Object.entries(this.drums)) {
+      const hit = detector.process(spectrum, binWidth, this.sensitivity, currentTime);
+      if (hit) {
+        hits[name] = hit;
+      }
+    }
+
+    return hits;
+  }
+
+  /**
+   * Set the sample rate the spectrum was analysed at
+   * @param {number} sampleRate - Hz
+   */
+  setSampleRate(sampleRate) {
+    this.sampleRate = sampleRate;
+  }
+
+  /**
+   * Get per-drum hit envelopes and confidences
+   * @returns {object} { kick, snare, hiHat }: { envelope, confidence, energy, lastHitTime }
+   */
+  getDrumState() {
+    const currentTime = performance.now();
+    const state = {};
+
+    for (const [name, detector] of Object.entries(this.drums)) {
+      state[name] = detector.getState(currentTime);
+    }
+
+    return state;
   }
 
   /**
@@ -207,18 +387,31 @@ export class BeatDetector {
     this.minTimeBetweenBeats = Math.max(50, ms);
   }
 
+  /**
+   * Set beats per bar for bar position
+   * @param {number} beats
+   */
+  setBeatsPerBar(beats) {
+    this.tempoTracker.setBeatsPerBar(beats);
+  }
+
   /**
    * Get current beat detection state
-   * @returns {object}
+   * @returns {object} Includes bpm, tempoConfidence, isTempoLocked, beatPhase (0-1) and barPosition (0-beatsPerBar)
    */
   getState() {
     return {
+      isBeat: this.isBeat,
       isKick: this.isKick,
       isSnare: this.isSnare,
       isHiHat: this.isHiHat,
+      drums: this.getDrumState(),
       energyAverage: this.energyAverage,
       energyVariance: this.energyVariance,
-      sensitivity: this.sensitivity
+      sensitivity: this.sensitivity,
+      detectionMode: this.detectionMode,
+      spectralFlux: this.flux,
+      ...this.tempoTracker.getState()
     };
   }
 
@@ -238,9 +431,17 @@ export class BeatDetector {
     this.energyAverage = 0;
     this.energyVariance = 0;
     this.lastBeatTime = 0;
+    this.previousSpectrum = null;
+    this.fluxHistory = [];
+    this.fluxEnvelope = 0;
+    this.flux = 0;
+    this.isBeat = false;
     this.isKick = false;
     this.isSnare = false;
     this.isHiHat = false;
+    this.drumHits = {};
+    Object.values(this.drums).forEach(detector => detector.reset());
+    this.tempoTracker.reset();
   }
 
   /**
@@ -250,6 +451,13 @@ export class BeatDetector {
     this.onBeatCallback = callback;
   }
 
+  /**
+   * Beats of the tempo clock, including predicted ones where no onset was heard
+   */
+  onTempoBeat(callback) {
+    this.tempoTracker.onTempoBeat(callback);
+  }
+
   onKick(callback) {
     this.onKickCallback = callback;
   }
@@ -273,7 +481,11 @@ export class BeatDetector {
       energyVariance: this.energyVariance.toFixed(3),
       threshold: this.threshold,
       sensitivity: this.sensitivity,
-      minTimeBetweenBeats: this.minTimeBetweenBeats
+      minTimeBetweenBeats: this.minTimeBetweenBeats,
+      detectionMode: this.detectionMode,
+      bpm: this.tempoTracker.bpm.toFixed(1),
+      tempoConfidence: this.tempoTracker.confidence.toFixed(2),
+      isTempoLocked: this.tempoTracker.isLocked
     };
   }
 }
@@ -0,0 +1,166 @@
+/**
+ * DrumDetector.js
+ * Onset detector for one drum element (kick, snare, hi-hat) on the spectrum bins of its frequency range
+ * Fires on rising energy in the range (band flux), so a held sound triggers once, not every frame
+ */
+
+export class DrumDetector {
+  /**
+   * @param {string} name - kick, snare or hiHat
+   * @param {object} range - { min, max } in Hz (read every frame, so edits to it apply live)
+   * @param {object} options - holdOff (ms), thresholdScale, minFlux, decay (s)
+   */
+  constructor(name, range, options = {}) {
+    this.name = name;
+    this.range = range;
+
+    this.holdOff = options.holdOff ?? 100; // ms after a hit before the next can fire
+    this.thresholdScale = options.thresholdScale ?? 1.5; // deviations above the mean, times sensitivity
+    this.minFlux = options.minFlux ?? 0.02; // ignore noise-floor flicker
+    this.decay = options.decay ?? 0.15; // seconds for the hit envelope to fall to ~37%
+
+    // ~1 second of band flux at 60fps as a ring buffer with running sums
+    this.historySize = 43;
+    this.fluxHistory = new Float32Array(this.historySize);
+    this.historyIndex = 0;
+    this.historyCount = 0;
+    this.historySum = 0;
+    this.historySumSquares = 0;
+
+    // Last frame's bins in the range (reallocated only when the range or FFT size changes)
+    this.previousBins = null;
+    this.hasPreviousBins = false;
+
+    this.flux = 0;
+    this.energy = 0;
+    this.lastHitTime = 0;
+    this.confidence = 0;
+  }
+
+  /**
+   * Look for a hit in this frame's spectrum
+   * @param {Uint8Array} spectrum - FrequencyAnalyzer.getSpectrumData()
+   * @param {number} binWidth - Hz per bin
+   * @param {number} sensitivity - BeatDetector sensitivity (higher = fewer hits)
+   * @param {number} currentTime - performance.now()
+   * @returns {object|null} { timestamp, energy, strength, confidence } on a hit
+   */
+  process(spectrum, binWidth, sensitivity, currentTime) {
+    const startBin = Math.max(1, Math.round(this.range.min / binWidth));
+    const endBin = Math.min(spectrum.length - 1, Math.max(startBin, Math.round(this.range.max / binWidth)));
+    const bins = spectrum.subarray(startBin, endBin + 1);
+
+    if (!this.previousBins || this.previousBins.length !== bins.length) {
+      this.previousBins = new Uint8Array(bins.length);
+      this.hasPreviousBins = false;
+    }
+
+    // Rectified flux over the range: only bins getting louder count
+    let flux = 0;
+    let energy = 0;
+    const comparable = this.hasPreviousBins;
+
+    for (let i = 0; i < bins.length; i++) {
+      energy += bins[i];
+
+      if (comparable) {
+        flux += Math.max(0, bins[i] - this.previousBins[i]);
+      }
+    }
+
+    this.previousBins.set(bins);
+    this.hasPreviousBins = true;
+    this.flux = flux / (bins.length * 255);
+    this.energy = energy / (bins.length * 255);
+
+    // Adaptive threshold from the previous second, excluding this frame
+    const count = this.historyCount;
+    const mean = count > 0 ? this.historySum / count : 0;
+    const variance = count > 0 ? Math.max(0, this.historySumSquares / count - mean * mean) : 0;
+    const threshold = Math.max(this.minFlux, mean + Math.sqrt(variance) * this.thresholdScale * sensitivity);
+
+    this.pushHistory(this.flux);
+
+    if (!comparable || this.historyCount < this.historySize / 4) return null; // Let the statistics settle
+    if (currentTime - this.lastHitTime < this.holdOff) return null;
+    if (this.flux <= threshold) return null;
+
+    this.lastHitTime = currentTime;
+    this.confidence = Math.min(1, (this.flux - threshold) / threshold);
+
+    return {
+      timestamp: currentTime,
+      energy: this.energy,
+      strength: this.flux,
+      confidence: this.confidence
+    };
+  }
+
+  /**
+   * Add a flux value to the ring buffer, keeping running sums
+   * @param {number} flux
+   */
+  pushHistory(flux) {
+    if (this.historyCount === this.historySize) {
+      const oldest = this.fluxHistory[this.historyIndex];
+      this.historySum -= oldest;
+      this.historySumSquares -= oldest * oldest;
+    } else {
+      this.historyCount++;
+    }
+
+    this.fluxHistory[this.historyIndex] = flux;
+    this.historySum += flux;
+    this.historySumSquares += flux * flux;
+    this.historyIndex = (this.historyIndex + 1) % this.historySize;
+  }
+
+  /**
+   * Hit envelope: 1 at a hit, decaying exponentially (0 before the first hit)
+   * @param {number} currentTime - performance.now()
+   * @returns {number}
+   */
+  getEnvelope(currentTime) {
+    if (!this.lastHitTime) return 0;
+
+    return Math.exp(-(currentTime - this.lastHitTime) / (this.decay * 1000));
+  }
+
+  /**
+   * Set hold-off time
+   * @param {number} ms - 20 to 1000
+   */
+  setHoldOff(ms) {
+    this.holdOff = Math.max(20, Math.min(1000, ms));
+  }
+
+  /**
+   * Get detector state
+   * @param {number} currentTime - performance.now()
+   * @returns {object}
+   */
+  getState(currentTime) {
+    return {
+      envelope: this.getEnvelope(currentTime),
+      confidence: this.confidence,
+      energy: this.energy,
+      lastHitTime: this.lastHitTime
+    };
+  }
+
+  /**
+   * Reset detector state
+   */
+  reset() {
+    this.fluxHistory.fill(0);
+    this.historyIndex = 0;
+    this.historyCount = 0;
+    this.historySum = 0;
+    this.historySumSquares = 0;
+    this.hasPreviousBins = false;
+    this.flux = 0;
+    this.energy = 0;
+    this.lastHitTime = 0;
+    this.confidence = 0;
+  }
+}
@@ -1,8 +1,35 @@
 /**
  * FrequencyAnalyzer.js
- * 8-band frequency analysis (sub-bass, bass, low-mid, mid, high-mid, treble, presence, air)
+ * Frequency analysis over a configurable band layout (the 8 named bands, log-spaced, 1/3-octave or custom Hz ranges),
+ * plus timbral features (centroid, spread, flatness, rolloff, zero-crossing rate, chroma)
+ * Band levels come from the AnalysisProcessor worklet when attached, else from AnalyserNode FFT polling
+ * The named levels (sub-bass, bass, low-mid, mid, high-mid, treble, presence, air) are derived from the layout bands
  */
 
+// Standard named bands (Hz)
+const NAMED_BANDS = {
+  subBass: { min: 20, max: 60 },
+  bass: { min: 60, max: 250 },
+  lowMid: { min: 250, max: 500 },
+  mid: { min: 500, max: 2000 },
+  highMid: { min: 2000, max: 4000 },
+  treble: { min: 4000, max: 6000 },
+  presence: { min: 6000, max: 10000 },
+  air: { min: 10000, max: 20000 }
+};
+
+// Ranges mixed into the onset energy, as in BeatDetector (bass 0.7, low-mid 0.3)
+const BEAT_RANGES = [
+  { min: 60, max: 250, weight: 0.7 },
+  { min: 250, max: 500, weight: 0.3 }
+];
+
+// IEC 61260 nominal 1/3-octave centre labels, 25 Hz (n = -16 from 1 kHz) to 20 kHz
+const THIRD_OCTAVE_LABELS = [
+  '25', '31.5', '40', '50', '63', '80', '100', '125', '160', '200', '250', '315', '400', '500', '630',
+  '800', '1k', '1.25k', '1.6k', '2k', '2.5k', '3.15k', '4k', '5k', '6.3k', '8k', '10k', '12.5k', '16k', '20k'
+];
+
 export class FrequencyAnalyzer {
   constructor(audioContext, analyzerNode) {
     this.audioContext = audioContext;
@@ -15,16 +42,14 @@ export class FrequencyAnalyzer {
     this.frequencyData = new Uint8Array(this.analyzer.frequencyBinCount);
     this.sampleRate = this.audioContext.sampleRate;
 
-    // Define 8 frequency bands (Hz ranges)
-    this.bands = {
-      subBass: { min: 20, max: 60, level: 0, peak: 0 },      // Sub-bass
-      bass: { min: 60, max: 250, level: 0, peak: 0 },        // Bass
-      lowMid: { min: 250, max: 500, level: 0, peak: 0 },     // Low-mid
-      mid: { min: 500, max: 2000, level: 0, peak: 0 },       // Mid
-      highMid: { min: 2000, max: 4000, level: 0, peak: 0 },  // High-mid
-      treble: { min: 4000, max: 6000, level: 0, peak: 0 },   // Treble
-      presence: { min: 6000, max: 10000, level: 0, peak: 0 },// Presence
-      air: { min: 10000, max: 20000, level: 0, peak: 0 }     // Air
+    // Band layout; the default 'named' layout analyses exactly the 8 named bands
+    this.layoutTypes = ['named', 'log', 'thirdOctave', 'custom'];
+    this.layout = {
+      type: 'named',
+      count: 16, // log bands
+      minFrequency: 20, // log and 1/3-octave span
+      maxFrequency: 20000,
+      ranges: [] // custom: [{ min, max }] in Hz
     };
 
     // RMS and overall levels
@@ -32,50 +57,404 @@ export class FrequencyAnalyzer {
     this.peakLevel = 0;
     this.overallLevel = 0;
 
+    // Timbral features (linear magnitudes and waveform, read alongside the byte spectrum)
+    this.floatFrequencyData = new Float32Array(this.analyzer.frequencyBinCount);
+    this.powerSpectrum = new Float32Array(this.analyzer.frequencyBinCount);
+    this.timeDomainData = new Float32Array(this.analyzer.fftSize);
+    this.chromaRange = { min: 100, max: 5000 }; // Hz; below ~100 Hz bins are wider than a semitone
+    this.rolloffFraction = 0.85;
+    this.features = {
+      centroid: 0, // Hz
+      spread: 0, // Hz
+      flatness: 0, // 0 (tonal) - 1 (noise)
+      rolloff: 0, // Hz
+      zcr: 0, // zero crossings per sample (0-1)
+      chroma: new Float32Array(12) // C, C#, ... B, loudest class = 1
+    };
+
     // Peak hold timing
     this.peakHoldTime = 1000; // ms
     this.peakHoldTimers = {};
 
     // History for smoothing
-    this.history = {
-      subBass: [],
-      bass: [],
-      lowMid: [],
-      mid: [],
-      highMid: [],
-      treble: [],
-      presence: [],
-      air: []
-    };
+    this.history = {};
     this.historySize = 5;
 
-    // Calculate bin indices for each band
+    // Audio-rate analysis (see attachWorklet)
+    this.workletNode = null;
+    this.workletLevels = null; // latest 'levels' message
+    this.workletOnsets = []; // onsets since the last consumeOnsets()
+
+    // Analysis bands [{ name, min, max, level, peak }] and named levels derived from them
+    this.bands = [];
+    this.namedWeights = {};
+    this.namedLevels = {};
+    this.applyBands(this.buildLayoutBands());
+    this.calculateChromaBins();
+  }
+
+  /**
+   * Make a band list the analysis bands, resetting peaks and history
+   * @param {object[]} bands - From buildLayoutBands()
+   */
+  applyBands(bands) {
+    for (const timer of Object.values(this.peakHoldTimers)) {
+      clearTimeout(timer);
+    }
+    this.peakHoldTimers = {};
+
+    this.bands = bands;
+    this.history = {};
+    for (const band of this.bands) {
+      this.history[band.name] = [];
+    }
+
+    this.namedWeights = {};
+    this.namedLevels = {};
+    for (const [name, range] of Object.entries(NAMED_BANDS)) {
+      this.namedWeights[name] = this.calculateOverlapWeights(range.min, range.max);
+      this.namedLevels[name] = 0;
+    }
+
     this.calculateBandIndices();
   }
 
   /**
-   * Calculate frequency bin indices for each band
+   * Map FFT bins to pitch classes (0 = C, -1 = outside the chroma range)
+   */
+  calculateChromaBins() {
+    const binWidth = this.sampleRate / this.analyzer.fftSize;
+    this.chromaBins = new Int8Array(this.analyzer.frequencyBinCount).fill(-1);
+
+    for (let i = 1; i < this.chromaBins.length; i++) {
+      const frequency = i * binWidth;
+      if (frequency < this.chromaRange.min || frequency > this.chromaRange.max) continue;
+
+      // A4 = 440 Hz is pitch class 9
+      const semitone = Math.round(12 * Math.log2(frequency / 440)) + 9;
+      this.chromaBins[i] = ((semitone % 12) + 12) % 12;
+    }
+  }
+
+  /**
+   * Calculate frequency bin weights for each band
    */
   calculateBandIndices() {
-    const nyquist = this.sampleRate / 2;
+    for (const band of this.bands) {
+      Object.assign(band, this.calculateBinWeights(band.min, band.max));
+    }
+  }
+
+  /**
+   * Weight each analysis band by how many Hz of a range it covers (weights sum to 1)
+   * A range no band reaches gets no weights and reads 0
+   * @param {number} min - Hz
+   * @param {number} max - Hz
+   * @returns {Float32Array}
+   */
+  calculateOverlapWeights(min, max) {
+    const weights = new Float32Array(this.bands.length);
+    let total = 0;
+
+    this.bands.forEach((band, index) => {
+      weights[index] = Math.max(0, Math.min(band.max, max) - Math.max(band.min, min));
+      total += weights[index];
+    });
+
+    return total > 0 ? weights.map(weight => weight / total) : new Float32Array(0);
+  }
+
+  /**
+   * Mix analysis band values with overlap weights
+   * @param {Float32Array} weights - From calculateOverlapWeights()
+   * @param {function} valueOf - band => value
+   * @returns {number}
+   */
+  mixBands(weights, valueOf) {
+    let sum = 0;
+
+    for (let i = 0; i < weights.length; i++) {
+      if (weights[i] > 0) {
+        sum += valueOf(this.bands[i]) * weights[i];
+      }
+    }
+
+    return sum;
+  }
+
+  /**
+   * Weight each FFT bin by how much of it falls inside a frequency range
+   * Bin i is centred on i * binWidth, so edge bins count fractionally and a band
+   * narrower than one bin still reads the bin(s) it sits in
+   * @param {number} min - Hz
+   * @param {number} max - Hz
+   * @returns {object} { startBin, weights }
+   */
+  calculateBinWeights(min, max) {
+    const binWidth = this.sampleRate / this.analyzer.fftSize;
     const binCount = this.analyzer.frequencyBinCount;
 
-    for (const [name, band] of Object.entries(this.bands)) {
-      band.startBin = Math.floor((band.min / nyquist) * binCount);
-      band.endBin = Math.floor((band.max / nyquist) * binCount);
+    const startBin = Math.max(0, Math.floor(min / binWidth + 0.5));
+    const endBin = Math.min(binCount - 1, Math.floor(max / binWidth + 0.5));
+
+    if (endBin < startBin) {
+      return { startBin: 0, weights: new Float32Array(0) };
+    }
+
+    const weights = new Float32Array(endBin - startBin + 1);
+
+    for (let i = startBin; i <= endBin; i++) {
+      const low = Math.max(min, (i - 0.5) * binWidth);
+      const high = Math.min(max, (i + 0.5) * binWidth);
+      weights[i - startBin] = Math.max(0, high - low) / binWidth;
+    }
+
+    return { startBin, weights };
+  }
+
+  /**
+   * Build the analysis bands from the current layout settings
+   * @returns {object[]} { name, min, max, level, peak }
+   */
+  buildLayoutBands() {
+    const nyquist = this.sampleRate / 2;
+    const layout = this.layout;
+    let ranges = [];
+
+    if (layout.type === 'named') {
+      ranges = Object.entries(NAMED_BANDS).map(([name, range]) => ({ name, ...range }));
+    } else if (layout.type === 'log') {
+      const ratio = layout.maxFrequency / layout.minFrequency;
+
+      for (let i = 0; i < layout.count; i++) {
+        ranges.push({
+          min: layout.minFrequency * Math.pow(ratio, i / layout.count),
+          max: layout.minFrequency * Math.pow(ratio, (i + 1) / layout.count)
+        });
+      }
+    } else if (layout.type === 'thirdOctave') {
+      // Base-2 centres around 1 kHz, edges a sixth of an octave either side
+      const first = Math.ceil(3 * Math.log2(layout.minFrequency / 1000));
+      const last = Math.floor(3 * Math.log2(layout.maxFrequency / 1000));
+
+      for (let n = first; n <= last; n++) {
+        const center = 1000 * Math.pow(2, n / 3);
+        ranges.push({
+          name: THIRD_OCTAVE_LABELS[n + 16] ?? this.formatFrequency(center),
+          min: center * Math.pow(2, -1 / 6),
+          max: center * Math.pow(2, 1 / 6)
+        });
+      }
+    } else if (layout.type === 'custom') {
+      ranges = layout.ranges.map(range => ({ ...range }));
+    }
+
+    const names = new Set();
+
+    return ranges
+      .map(range => ({ ...range, max: Math.min(range.max, nyquist) }))
+      .filter(range => range.min < range.max)
+      .map(range => {
+        // Names key levels and history, so labels that round alike get a suffix
+        const label = range.name ?? `${this.formatFrequency(range.min)}-${this.formatFrequency(range.max)}`;
+        let name = label;
+        for (let n = 2; names.has(name); n++) {
+          name = `${label} (${n})`;
+        }
+        names.add(name);
+
+        return { name, min: range.min, max: range.max, level: 0, peak: 0 };
+      });
+  }
+
+  /**
+   * Short label for a frequency (e.g. 63, 1.3k)
+   * @param {number} frequency - Hz
+   * @returns {string}
+   */
+  formatFrequency(frequency) {
+    if (frequency >= 1000) {
+      return `${parseFloat((frequency / 1000).toPrecision(2))}k`;
+    }
+
+    return `${Math.round(frequency)}`;
+  }
+
+  /**
+   * Change the band layout
+   * @param {object} layout - { type: named|log|thirdOctave|custom, count, minFrequency, maxFrequency, ranges }
+   * @returns {boolean}
+   */
+  setBandLayout(layout) {
+    const next = { ...this.layout, ...layout };
+
+    if (!this.layoutTypes.includes(next.type)) {
+      console.warn(`Unknown band layout: ${next.type}`);
+      return false;
+    }
+
+    next.count = Math.max(2, Math.min(64, Math.round(next.count)));
+    next.minFrequency = Math.max(10, next.minFrequency);
+    next.maxFrequency = Math.max(next.minFrequency * 2, next.maxFrequency);
+    next.ranges = (next.ranges || [])
+      .map(range => Array.isArray(range) ? { min: range[0], max: range[1] } : range)
+      .filter(range => Number.isFinite(range.min) && Number.isFinite(range.max) && range.min >= 0 && range.min < range.max)
+      .map(range => ({ min: range.min, max: range.max }));
+
+    if (next.type === 'custom' && next.ranges.length === 0) {
+      console.warn('Custom band layout needs at least one range');
+      return false;
+    }
+
+    this.layout = next;
+    this.applyBands(this.buildLayoutBands());
+    this.configureWorklet({ bands: this.getBandDefinitions() });
+
+    console.log(`Band layout: ${next.type} (${this.bands.length} bands)`);
+    return true;
+  }
+
+  /**
+   * Get serializable band layout settings
+   * @returns {object}
+   */
+  getBandLayout() {
+    return {
+      ...this.layout,
+      ranges: this.layout.ranges.map(range => ({ ...range }))
+    };
+  }
+
+  /**
+   * Get analysis band levels
+   * @returns {object[]} { name, min, max, level, peak }
+   */
+  getLayoutLevels() {
+    return this.bands.map(({ name, min, max, level, peak }) => ({ name, min, max, level, peak }));
+  }
+
+  /**
+   * Read levels and onsets from an AnalysisProcessor worklet node
+   * @param {AudioWorkletNode} node
+   */
+  attachWorklet(node) {
+    this.workletNode = node;
+    this.workletNode.port.onmessage = (event) => this.handleWorkletMessage(event.data);
+  }
+
+  /**
+   * Go back to FFT polling
+   */
+  detachWorklet() {
+    if (!this.workletNode) return;
+
+    this.workletNode.port.onmessage = null;
+    this.workletNode = null;
+    this.workletLevels = null;
+    this.workletOnsets = [];
+  }
+
+  /**
+   * Check if levels come from the analysis worklet
+   * @returns {boolean}
+   */
+  isUsingWorklet() {
+    return this.workletNode !== null;
+  }
+
+  /**
+   * Handle a message from the analysis worklet
+   * @param {object} data
+   */
+  handleWorkletMessage(data) {
+    if (data.type === 'levels') {
+      this.workletLevels = data;
+    } else if (data.type === 'onset') {
+      this.workletOnsets.push({
+        timestamp: this.contextToPerformanceTime(data.time),
+        energy: data.energy,
+        confidence: data.confidence
+      });
+    }
+  }
+
+  /**
+   * Convert an AudioContext time to the performance.now() clock (when it is heard)
+   * @param {number} contextTime - Seconds
+   * @returns {number} Milliseconds
+   */
+  contextToPerformanceTime(contextTime) {
+    const timestamp = this.audioContext.getOutputTimestamp?.();
+
+    if (!timestamp || !timestamp.performanceTime) {
+      return performance.now();
+    }
+
+    return timestamp.performanceTime + (contextTime - timestamp.contextTime) * 1000;
+  }
+
+  /**
+   * Take the onsets the worklet detected since the last call
+   * @returns {object[]|null} { timestamp, energy, confidence }, null without the worklet
+   */
+  consumeOnsets() {
+    if (!this.workletNode) return null;
+
+    const onsets = this.workletOnsets;
+    this.workletOnsets = [];
+    return onsets;
+  }
+
+  /**
+   * Send onset detection settings to the worklet
+   * @param {object} config - sensitivity, threshold, minTimeBetweenBeats (ms), fftSize, bands
+   */
+  configureWorklet(config) {
+    if (this.workletNode) {
+      this.workletNode.port.postMessage({ type: 'config', ...config });
+    }
+  }
+
+  /**
+   * Describe the bands for the worklet's filter bank
+   * beatWeight is each band's share of the onset energy (bass 0.7 and lowMid 0.3 with the named layout)
+   * @returns {object[]} { name, min, max, beatWeight }
+   */
+  getBandDefinitions() {
+    const beatWeights = new Float32Array(this.bands.length);
+
+    for (const range of BEAT_RANGES) {
+      const weights = this.calculateOverlapWeights(range.min, range.max);
+      weights.forEach((weight, index) => {
+        beatWeights[index] += weight * range.weight;
+      });
     }
+
+    return this.bands.map((band, index) => ({
+      name: band.name,
+      min: band.min,
+      max: band.max,
+      beatWeight: beatWeights[index]
+    }));
   }
 
   /**
    * Analyze audio and update frequency bands
+   * With the worklet attached, levels, RMS and peak are its latest audio-rate values
+   * (RMS and peak are then waveform values rather than spectrum averages)
    */
   analyze() {
-    // Get frequency data
+    // Spectrum is still read for visuals and spectral flux
     this.analyzer.getByteFrequencyData(this.frequencyData);
 
+    const workletLevels = this.workletLevels;
+
     // Analyze each band
-    for (const [name, band] of Object.entries(this.bands)) {
-      const level = this.getAverageLevelInRange(band.startBin, band.endBin);
+    for (const band of this.bands) {
+      const name = band.name;
+      const level = workletLevels
+        ? workletLevels.bands[name] ?? 0
+        : this.getWeightedLevel(band);
       band.level = level;
 
       // Update peak with hold
@@ -104,36 +483,157 @@ export class FrequencyAnalyzer {
       }
     }
 
-    // Calculate RMS
-    this.rmsLevel = this.calculateRMS();
+    for (const name of Object.keys(NAMED_BANDS)) {
+      this.namedLevels[name] = this.mixBands(this.namedWeights[name], band => band.level);
+    }
+
+    this.analyzeFeatures();
 
-    // Calculate peak
-    this.peakLevel = Math.max(...this.frequencyData) / 255;
+    // Calculate RMS and peak
+    if (workletLevels) {
+      this.rmsLevel = workletLevels.rms;
+      this.peakLevel = workletLevels.peak;
+    } else {
+      this.rmsLevel = this.calculateRMS();
+      this.peakLevel = Math.max(...this.frequencyData) / 255;
+    }
 
     // Calculate overall level (average of all bands)
     this.overallLevel = this.calculateOverallLevel();
   }
 
   /**
-   * Get average level in frequency bin range
-   * @param {number} startBin
-   * @param {number} endBin
-   * @returns {number} Normalized level (0-1)
+   * Compute spectral centroid, spread, flatness, rolloff, chroma and zero-crossing rate
+   * Spectral features use linear power, not the dB-scaled bytes the levels use
    */
-  getAverageLevelInRange(startBin, endBin) {
-    if (startBin >= endBin || startBin >= this.frequencyData.length) {
-      return 0;
+  analyzeFeatures() {
+    this.analyzer.getFloatFrequencyData(this.floatFrequencyData);
+    this.analyzer.getFloatTimeDomainData(this.timeDomainData);
+
+    const features = this.features;
+    const binWidth = this.sampleRate / this.analyzer.fftSize;
+    const binCount = this.floatFrequencyData.length;
+
+    // First pass: total power, centroid, flatness, chroma (DC bin skipped)
+    let total = 0;
+    let weighted = 0;
+    let logSum = 0;
+    features.chroma.fill(0);
+
+    for (let i = 1; i < binCount; i++) {
+      const power = Math.pow(10, this.floatFrequencyData[i] / 10);
+      this.powerSpectrum[i] = power;
+
+      total += power;
+      weighted += power * i * binWidth;
+      logSum += Math.log(power + 1e-20);
+
+      if (this.chromaBins[i] >= 0) {
+        features.chroma[this.chromaBins[i]] += power;
+      }
+    }
+
+    this.analyzeZeroCrossings();
+
+    if (total < 1e-12) {
+      features.centroid = 0;
+      features.spread = 0;
+      features.flatness = 0;
+      features.rolloff = 0;
+      features.chroma.fill(0);
+      return;
+    }
+
+    const centroid = weighted / total;
+    const geometricMean = Math.exp(logSum / (binCount - 1));
+    const arithmeticMean = total / (binCount - 1);
+
+    // Second pass: spread around the centroid, rolloff
+    const rolloffPower = total * this.rolloffFraction;
+    let spreadSum = 0;
+    let cumulative = 0;
+    let rolloff = 0;
+
+    for (let i = 1; i < binCount; i++) {
+      const power = this.powerSpectrum[i];
+      const frequency = i * binWidth;
+
+      spreadSum += power * (frequency - centroid) * (frequency - centroid);
+
+      if (!rolloff) {
+        cumulative += power;
+        if (cumulative >= rolloffPower) rolloff = frequency;
+      }
+    }
+
+    features.centroid = centroid;
+    features.spread = Math.sqrt(spreadSum / total);
+    features.flatness = Math.min(1, geometricMean / arithmeticMean);
+    features.rolloff = rolloff;
+
+    const chromaMax = Math.max(...features.chroma);
+    if (chromaMax > 0) {
+      for (let i = 0; i < 12; i++) {
+        features.chroma[i] /= chromaMax;
+      }
+    }
+  }
+
+  /**
+   * Zero-crossing rate of the current waveform window
+   */
+  analyzeZeroCrossings() {
+    const samples = this.timeDomainData;
+    let crossings = 0;
+
+    for (let i = 1; i < samples.length; i++) {
+      if ((samples[i - 1] >= 0) !== (samples[i] >= 0)) {
+        crossings++;
+      }
     }
 
+    this.features.zcr = crossings / (samples.length - 1);
+  }
+
+  /**
+   * Get timbral features
+   * @returns {object} { centroid, spread, rolloff (Hz), flatness, zcr, chroma[12] }
+   */
+  getFeatures() {
+    return {
+      ...this.features,
+      chroma: Array.from(this.features.chroma)
+    };
+  }
+
+  /**
+   * Map a frequency to 0-1 on a log scale from 20 Hz to Nyquist
+   * @param {number} frequency - Hz
+   * @returns {number}
+   */
+  normalizeFrequency(frequency) {
+    if (frequency <= 20) return 0;
+
+    const nyquist = this.sampleRate / 2;
+    return Math.min(1, Math.log(frequency / 20) / Math.log(nyquist / 20));
+  }
+
+  /**
+   * Get weighted average level over a band's bins
+   * @param {object} band - { startBin, weights }
+   * @returns {number} Normalized level (0-1)
+   */
+  getWeightedLevel(band) {
+    const { startBin, weights } = band;
     let sum = 0;
-    let count = 0;
+    let weightSum = 0;
 
-    for (let i = startBin; i < endBin && i < this.frequencyData.length; i++) {
-      sum += this.frequencyData[i];
-      count++;
+    for (let i = 0; i < weights.length; i++) {
+      sum += this.frequencyData[startBin + i] * weights[i];
+      weightSum += weights[i];
     }
 
-    return count > 0 ? (sum / count) / 255 : 0;
+    return weightSum > 0 ? (sum / weightSum) / 255 : 0;
   }
 
   /**
@@ -156,9 +656,10 @@ export class FrequencyAnalyzer {
    * @returns {number}
    */
   calculateOverallLevel() {
-    const bandNames = Object.keys(this.bands);
-    const sum = bandNames.reduce((acc, name) => acc + this.bands[name].level, 0);
-    return sum / bandNames.length;
+    if (this.bands.length === 0) return 0;
+
+    const sum = this.bands.reduce((acc, band) => acc + band.level, 0);
+    return sum / this.bands.length;
   }
 
   /**
@@ -178,32 +679,32 @@ export class FrequencyAnalyzer {
   }
 
   /**
-   * Get band level by name
+   * Get band level by name (analysis band or named level)
    * @param {string} bandName
    * @returns {number}
    */
   getBandLevel(bandName) {
-    return this.bands[bandName]?.level ?? 0;
+    return this.bands.find(band => band.name === bandName)?.level ?? this.namedLevels[bandName] ?? 0;
   }
 
   /**
    * Get all band levels
+   * Named levels are always present; other layouts add their own bands by name
    * @returns {object}
    */
   getAllLevels() {
-    return {
-      subBass: this.bands.subBass.level,
-      bass: this.bands.bass.level,
-      lowMid: this.bands.lowMid.level,
-      mid: this.bands.mid.level,
-      highMid: this.bands.highMid.level,
-      treble: this.bands.treble.level,
-      presence: this.bands.presence.level,
-      air: this.bands.air.level,
-      rms: this.rmsLevel,
-      peak: this.peakLevel,
-      overall: this.overallLevel
-    };
+    const levels = { ...this.namedLevels };
+
+    if (this.layout.type !== 'named') {
+      for (const band of this.bands) {
+        levels[band.name] = band.level;
+      }
+    }
+
+    levels.rms = this.rmsLevel;
+    levels.peak = this.peakLevel;
+    levels.overall = this.overallLevel;
+    return levels;
   }
 
   /**
@@ -211,19 +712,22 @@ export class FrequencyAnalyzer {
    * @returns {object}
    */
   getAllSmoothedLevels() {
-    return {
-      subBass: this.getSmoothedLevel('subBass'),
-      bass: this.getSmoothedLevel('bass'),
-      lowMid: this.getSmoothedLevel('lowMid'),
-      mid: this.getSmoothedLevel('mid'),
-      highMid: this.getSmoothedLevel('highMid'),
-      treble: this.getSmoothedLevel('treble'),
-      presence: this.getSmoothedLevel('presence'),
-      air: this.getSmoothedLevel('air'),
-      rms: this.rmsLevel,
-      peak: this.peakLevel,
-      overall: this.overallLevel
-    };
+    const levels = {};
+
+    for (const name of Object.keys(NAMED_BANDS)) {
+      levels[name] = this.mixBands(this.namedWeights[name], band => this.getSmoothedLevel(band.name));
+    }
+
+    if (this.layout.type !== 'named') {
+      for (const band of this.bands) {
+        levels[band.name] = this.getSmoothedLevel(band.name);
+      }
+    }
+
+    levels.rms = this.rmsLevel;
+    levels.peak = this.peakLevel;
+    levels.overall = this.overallLevel;
+    return levels;
   }
 
   /**
@@ -240,7 +744,12 @@ export class FrequencyAnalyzer {
 
     this.analyzer.fftSize = size;
     this.frequencyData = new Uint8Array(this.analyzer.frequencyBinCount);
+    this.floatFrequencyData = new Float32Array(this.analyzer.frequencyBinCount);
+    this.powerSpectrum = new Float32Array(this.analyzer.frequencyBinCount);
+    this.timeDomainData = new Float32Array(this.analyzer.fftSize);
     this.calculateBandIndices();
+    this.calculateChromaBins();
+    this.configureWorklet({ fftSize: size });
 
     console.log(`FFT size set to ${size}`);
   }
@@ -257,7 +766,7 @@ export class FrequencyAnalyzer {
    * Reset all peak values
    */
   resetPeaks() {
-    for (const band of Object.values(this.bands)) {
+    for (const band of this.bands) {
       band.peak = band.level;
     }
 
@@ -280,6 +789,8 @@ export class FrequencyAnalyzer {
    * Dispose and cleanup
    */
   dispose() {
+    this.detachWorklet();
+
     // Clear peak hold timers
     for (const timer of Object.values(this.peakHoldTimers)) {
       clearTimeout(timer);
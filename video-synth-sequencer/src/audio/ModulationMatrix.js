@@ -0,0 +1,250 @@
+/**
+ * ModulationMatrix.js
+ * Routes audio modulation sources (AudioEngine.getModulationSources()) to effect parameters
+ * Each route adds (shaped source × depth + offset) × the target's range on top of the base value
+ */
+
+export class ModulationMatrix {
+  constructor() {
+    // Source shaping
+    this.curves = ['linear', 'exponential', 'logarithmic', 'sCurve'];
+    this.polarities = ['positive', 'negative', 'bipolar']; // bipolar swings both ways around the base value
+
+    // Modulatable parameters: param -> { name, min, max }
+    this.targets = new Map();
+
+    this.routes = [];
+    this.nextRouteId = 1;
+
+    // Global settings
+    this.smoothing = 0.8; // 0 = raw, 0.99 = very slow
+    this.intensity = 1.0; // scales every route's depth
+
+    this.smoothedValues = new Map(); // route id -> smoothed source value
+  }
+
+  /**
+   * Declare the parameters routes can target
+   * @param {object[]} targets - { param, name, min, max }
+   */
+  setTargets(targets) {
+    this.targets = new Map(targets.map(({ param, name, min, max }) => [param, { name, min, max }]));
+  }
+
+  /**
+   * Get the modulatable parameters
+   * @returns {object[]} { param, name, min, max }
+   */
+  getTargets() {
+    return Array.from(this.targets.entries()).map(([param, target]) => ({ param, ...target }));
+  }
+
+  /**
+   * Add a route
+   * @param {object} settings - source, target, depth, polarity, offset, curve, enabled, preset
+   * @returns {object} The route
+   */
+  addRoute(settings = {}) {
+    const route = {
+      id: this.nextRouteId++,
+      source: 'bass',
+      target: this.targets.keys().next().value ?? null,
+      depth: 0.25, // fraction of the target's range at full source
+      polarity: 'positive',
+      offset: 0, // fraction of the target's range, added regardless of the source
+      curve: 'linear',
+      enabled: true,
+      preset: null // param of the CC 91-95 preset that owns the route
+    };
+
+    this.routes.push(route);
+
+    for (const [property, value] of Object.entries(settings)) {
+      if (property !== 'id') {
+        this.setRouteProperty(route.id, property, value);
+      }
+    }
+
+    return route;
+  }
+
+  /**
+   * Get a route by id
+   * @param {number} id
+   * @returns {object|null}
+   */
+  getRoute(id) {
+    return this.routes.find(route => route.id === id) || null;
+  }
+
+  /**
+   * Get the route owned by a preset
+   * @param {string} preset
+   * @returns {object|null}
+   */
+  getPresetRoute(preset) {
+    return this.routes.find(route => route.preset === preset) || null;
+  }
+
+  /**
+   * Set a route property
+   * @param {number} id
+   * @param {string} property - source, target, depth, polarity, offset, curve, enabled, preset
+   * @param {*} value
+   * @returns {boolean}
+   */
+  setRouteProperty(id, property, value) {
+    const route = this.getRoute(id);
+    if (!route) return false;
+
+    switch (property) {
+      case 'source':
+      case 'preset':
+        route[property] = value;
+        break;
+      case 'target':
+        if (!this.targets.has(value)) {
+          console.warn(`Unknown modulation target: ${value}`);
+          return false;
+        }
+        route.target = value;
+        break;
+      case 'depth':
+        route.depth = Math.max(0, Math.min(1, value));
+        break;
+      case 'offset':
+        route.offset = Math.max(-1, Math.min(1, value));
+        break;
+      case 'polarity':
+        if (!this.polarities.includes(value)) {
+          console.warn(`Unknown modulation polarity: ${value}`);
+          return false;
+        }
+        route.polarity = value;
+        break;
+      case 'curve':
+        if (!this.curves.includes(value)) {
+          console.warn(`Unknown modulation curve: ${value}`);
+          return false;
+        }
+        route.curve = value;
+        break;
+      case 'enabled':
+        route.enabled = Boolean(value);
+        break;
+      default:
+        console.warn(`Unknown route property: ${property}`);
+        return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Remove a route
+   * @param {number} id
+   */
+  removeRoute(id) {
+    this.routes = this.routes.filter(route => route.id !== id);
+    this.smoothedValues.delete(id);
+  }
+
+  /**
+   * Remove every route
+   */
+  clearRoutes() {
+    this.routes = [];
+    this.smoothedValues.clear();
+  }
+
+  /**
+   * Set source smoothing
+   * @param {number} value - 0 to 0.99
+   */
+  setSmoothing(value) {
+    this.smoothing = Math.max(0, Math.min(0.99, value));
+  }
+
+  /**
+   * Set global intensity
+   * @param {number} value - 0 to 3
+   */
+  setIntensity(value) {
+    this.intensity = Math.max(0, Math.min(3, value));
+  }
+
+  /**
+   * Apply a response curve to a 0-1 value
+   * @param {number} value
+   * @param {string} curve
+   * @returns {number}
+   */
+  shapeValue(value, curve) {
+    switch (curve) {
+      case 'exponential':
+        return value * value; // quiet input barely moves, peaks punch
+      case 'logarithmic':
+        return Math.sqrt(value); // quiet input already moves a lot
+      case 'sCurve':
+        return value * value * (3 - 2 * value);
+      default:
+        return value;
+    }
+  }
+
+  /**
+   * Modulate parameters with the current sources
+   * @param {object} sources - name -> 0-1 value
+   * @param {object} params - Base parameter values (not changed)
+   * @returns {object} Copy of params with routed targets modulated and clamped to their range
+   */
+  process(sources, params) {
+    const output = { ...params };
+    const touched = new Set();
+
+    for (const route of this.routes) {
+      const target = this.targets.get(route.target);
+      if (!route.enabled || !target || output[route.target] === undefined) continue;
+
+      const raw = Math.max(0, Math.min(1, sources[route.source] ?? 0));
+      const previous = this.smoothedValues.get(route.id) ?? raw;
+      const value = previous + (raw - previous) * (1 - this.smoothing);
+      this.smoothedValues.set(route.id, value);
+
+      const shaped = this.shapeValue(value, route.curve);
+      const signed = route.polarity === 'bipolar'
+        ? shaped * 2 - 1
+        : route.polarity === 'negative' ? -shaped : shaped;
+
+      const amount = signed * route.depth * this.intensity + route.offset;
+      output[route.target] += amount * (target.max - target.min);
+      touched.add(route.target);
+    }
+
+    for (const param of touched) {
+      const { min, max } = this.targets.get(param);
+      output[param] = Math.max(min, Math.min(max, output[param]));
+    }
+
+    return output;
+  }
+
+  /**
+   * Get serializable routes
+   * @returns {object[]}
+   */
+  getState() {
+    return this.routes.map(({ id, ...route }) => route);
+  }
+
+  /**
+   * Replace the routes with saved ones
+   * @param {object[]} state - From getState()
+   */
+  restoreState(state) {
+    if (!Array.isArray(state)) return;
+
+    this.clearRoutes();
+    state.forEach(route => this.addRoute(route));
+  }
+}
@@ -0,0 +1,320 @@
+/**
+ * TempoTracker.js
+ * Tempo (BPM) estimation and beat-phase tracking from onset times
+ * Runs a beat clock that keeps ticking through missing onsets
+ */
+
+export class TempoTracker {
+  constructor() {
+    // Tempo range, one octave so half/double-time intervals land on the same tempo
+    this.minBPM = 90;
+    this.maxBPM = 180;
+
+    this.beatsPerBar = 4;
+
+    // Onset history used for the interval histogram
+    this.onsetTimes = [];
+    this.onsetWindow = 8000; // ms
+    this.maxIntervalSpan = 4; // compare each onset with up to N previous ones
+
+    // Current estimate
+    this.bpm = 120;
+    this.period = 500; // ms per beat
+    this.confidence = 0; // 0-1
+    this.minConfidence = 0.3; // below this the clock doesn't fire beats
+
+    // Beat clock
+    this.isLocked = false;
+    this.nextBeatTime = 0;
+    this.beatIndex = 0; // beats since lock
+    this.lastBeatTime = 0;
+    this.lastOnsetTime = 0;
+
+    // Phase-locked loop gains (how hard an onset pulls the clock)
+    this.phaseCorrection = 0.25;
+    this.periodCorrection = 0.05;
+    this.matchWindow = 0.2; // fraction of a period either side of a beat
+
+    // Re-acquire tempo when the histogram disagrees by more than this
+    this.retuneThreshold = 0.04; // 4%
+
+    // Stop predicting after this many beats without an onset
+    this.maxPredictedBeats = 8;
+
+    this.onTempoBeatCallback = null;
+  }
+
+  /**
+   * Feed a detected onset
+   * @param {number} time - performance.now() timestamp
+   */
+  addOnset(time) {
+    this.lastOnsetTime = time;
+    this.onsetTimes.push(time);
+
+    while (this.onsetTimes.length && time - this.onsetTimes[0] > this.onsetWindow) {
+      this.onsetTimes.shift();
+    }
+
+    this.estimateTempo();
+
+    if (!this.isLocked) {
+      if (this.confidence >= this.minConfidence) {
+        this.lock(time);
+      }
+      return;
+    }
+
+    this.correctPhase(time);
+  }
+
+  /**
+   * Estimate BPM from an inter-onset interval histogram
+   */
+  estimateTempo() {
+    const onsets = this.onsetTimes;
+    if (onsets.length < 4) return;
+
+    // 1 BPM bins across the tempo range
+    const binCount = this.maxBPM - this.minBPM + 1;
+    const histogram = new Float32Array(binCount);
+    const newest = onsets[onsets.length - 1];
+    let total = 0;
+
+    for (let i = 1; i < onsets.length; i++) {
+      // Recent onsets count more, so the estimate follows tempo changes
+      const age = (newest - onsets[i]) / this.onsetWindow;
+      const weight = 1 - age * 0.5;
+
+      for (let span = 1; span <= this.maxIntervalSpan && i - span >= 0; span++) {
+        const bpm = this.foldBPM(60000 / (onsets[i] - onsets[i - span]));
+        if (bpm === null) continue;
+
+        // Spread across neighboring bins so near-misses reinforce each other
+        const bin = bpm - this.minBPM;
+        const center = Math.round(bin);
+        for (let offset = -2; offset <= 2; offset++) {
+          const index = center + offset;
+          if (index < 0 || index >= binCount) continue;
+
+          const distance = index - bin;
+          const contribution = weight * Math.exp(-distance * distance);
+          histogram[index] += contribution;
+          total += contribution;
+        }
+      }
+    }
+
+    if (total === 0) return;
+
+    let peak = 0;
+    for (let i = 1; i < binCount; i++) {
+      if (histogram[i] > histogram[peak]) peak = i;
+    }
+
+    // Refine to a fractional BPM with the neighboring bins
+    let weightedSum = 0;
+    let weightSum = 0;
+    for (let offset = -1; offset <= 1; offset++) {
+      const index = peak + offset;
+      if (index < 0 || index >= binCount) continue;
+      weightedSum += (this.minBPM + index) * histogram[index];
+      weightSum += histogram[index];
+    }
+
+    const estimate = weightedSum / weightSum;
+
+    // Share of the histogram within ±2 BPM of the peak
+    let peakMass = 0;
+    for (let offset = -2; offset <= 2; offset++) {
+      const index = peak + offset;
+      if (index >= 0 && index < binCount) peakMass += histogram[index];
+    }
+    this.confidence = Math.min(1, (peakMass / total) * 2);
+
+    // Small differences are drift (the phase loop follows them), large ones a new tempo
+    if (!this.isLocked || Math.abs(estimate - this.bpm) / this.bpm > this.retuneThreshold) {
+      this.setBPM(estimate);
+    }
+  }
+
+  /**
+   * Fold a BPM value into the tempo range by doubling/halving
+   * @param {number} bpm
+   * @returns {number|null} null if the interval is unusable
+   */
+  foldBPM(bpm) {
+    if (!isFinite(bpm) || bpm <= 0) return null;
+
+    while (bpm < this.minBPM) bpm *= 2;
+    while (bpm >= this.maxBPM) bpm /= 2;
+
+    return bpm;
+  }
+
+  /**
+   * Set the tempo
+   * @param {number} bpm
+   */
+  setBPM(bpm) {
+    this.bpm = Math.max(this.minBPM, Math.min(this.maxBPM, bpm));
+    this.period = 60000 / this.bpm;
+  }
+
+  /**
+   * Start the beat clock on an onset
+   * @param {number} time
+   */
+  lock(time) {
+    this.isLocked = true;
+    this.beatIndex = 0;
+    this.lastBeatTime = time;
+    this.nextBeatTime = time + this.period;
+
+    console.log(`Tempo locked at ${this.bpm.toFixed(1)} BPM`);
+    this.fireBeat(time, false);
+  }
+
+  /**
+   * Pull the beat clock toward an onset near a beat (drift tracking)
+   * @param {number} time
+   */
+  correctPhase(time) {
+    // Error relative to the nearest beat, in ms (negative = onset early)
+    const toNext = time - this.nextBeatTime;
+    const toLast = time - this.lastBeatTime;
+    const error = Math.abs(toNext) < Math.abs(toLast) ? toNext : toLast;
+
+    // Off-beat onsets (snares, hats, fills) don't steer the clock
+    if (Math.abs(error) > this.period * this.matchWindow) return;
+
+    this.nextBeatTime += error * this.phaseCorrection;
+    this.setBPM(60000 / (this.period + error * this.periodCorrection));
+  }
+
+  /**
+   * Advance the beat clock (call every frame)
+   * @param {number} time - performance.now() timestamp
+   */
+  update(time) {
+    if (!this.isLocked) return;
+
+    // Give up after too many beats without an onset
+    if (time - this.lastOnsetTime > this.period * this.maxPredictedBeats) {
+      this.unlock();
+      return;
+    }
+
+    while (time >= this.nextBeatTime) {
+      const beatTime = this.nextBeatTime;
+
+      this.beatIndex++;
+      this.lastBeatTime = beatTime;
+      this.nextBeatTime += this.period;
+
+      // An onset just ahead of the tick already played this beat
+      const matched = this.lastOnsetTime >= beatTime - this.period * this.matchWindow;
+
+      this.fireBeat(beatTime, !matched);
+    }
+  }
+
+  /**
+   * Notify a beat of the clock
+   * @param {number} time
+   * @param {boolean} predicted - No onset was heard on this beat
+   */
+  fireBeat(time, predicted) {
+    if (!this.onTempoBeatCallback || this.confidence < this.minConfidence) return;
+
+    const beatInBar = this.beatIndex % this.beatsPerBar;
+
+    this.onTempoBeatCallback({
+      timestamp: time,
+      bpm: this.bpm,
+      beatIndex: this.beatIndex,
+      beatInBar,
+      isDownbeat: beatInBar === 0,
+      confidence: this.confidence,
+      predicted
+    });
+  }
+
+  /**
+   * Stop the beat clock (tempo estimate is kept)
+   */
+  unlock() {
+    this.isLocked = false;
+    this.onsetTimes = [];
+    this.confidence = 0;
+    console.log('Tempo lost');
+  }
+
+  /**
+   * Beat phase (0-1, 0 = on the beat)
+   * @param {number} time
+   * @returns {number}
+   */
+  getPhase(time) {
+    if (!this.isLocked) return 0;
+
+    const phase = 1 - (this.nextBeatTime - time) / this.period;
+    return Math.max(0, Math.min(1, phase));
+  }
+
+  /**
+   * Position in the bar in beats (0 to beatsPerBar)
+   * @param {number} time
+   * @returns {number}
+   */
+  getBarPosition(time) {
+    if (!this.isLocked) return 0;
+    return (this.beatIndex % this.beatsPerBar) + this.getPhase(time);
+  }
+
+  /**
+   * Set beats per bar
+   * @param {number} beats
+   */
+  setBeatsPerBar(beats) {
+    this.beatsPerBar = Math.max(1, Math.round(beats));
+  }
+
+  /**
+   * Get tempo tracking state
+   * @param {number} time
+   * @returns {object}
+   */
+  getState(time = performance.now()) {
+    return {
+      bpm: this.bpm,
+      tempoConfidence: this.confidence,
+      isTempoLocked: this.isLocked,
+      beatPhase: this.getPhase(time),
+      barPosition: this.getBarPosition(time),
+      beatInBar: this.beatIndex % this.beatsPerBar,
+      beatsPerBar: this.beatsPerBar
+    };
+  }
+
+  /**
+   * Reset tempo tracking
+   */
+  reset() {
+    this.onsetTimes = [];
+    this.confidence = 0;
+    this.isLocked = false;
+    this.beatIndex = 0;
+    this.lastBeatTime = 0;
+    this.lastOnsetTime = 0;
+    this.nextBeatTime = 0;
+    this.setBPM(120);
+  }
+
+  /**
+   * Register callback for clock beats (fires on predicted beats too)
+   */
+  onTempoBeat(callback) {
+    this.onTempoBeatCallback = callback;
+  }
+}
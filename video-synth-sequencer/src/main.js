@@ -6,24 +6,88 @@
 
 import * as THREE from 'three';
 import { VideoManager } from './video/VideoManager.js';
+import { LayerStack } from './video/LayerStack.js';
+import { VideoFrameTexture } from './video/VideoFrameTexture.js';
 import { AudioEngine } from './audio/AudioEngine.js';
+import { ModulationMatrix } from './audio/ModulationMatrix.js';
 import { MIDIController } from './midi/MIDIController.js';
 import { MIDIMapper } from './midi/MIDIMapper.js';
 import { MIDILearn } from './midi/MIDILearn.js';
 import { PerformanceMonitor } from './utils/PerformanceMonitor.js';
 import { StateManager } from './utils/StateManager.js';
+import { PlaylistStore } from './utils/PlaylistStore.js';
 import { OptimizationUtils } from './utils/OptimizationUtils.js';
+import videoVertexShader from './shaders/video/video.vert?raw';
+import videoFragmentShader from './shaders/video/video.frag?raw';
+
+// Transition names from VideoManager -> uTransitionType in video.frag
+const TRANSITION_SHADER_TYPES = {
+  crossfade: 1,
+  lumaWipe: 2,
+  dissolveToBlack: 3,
+  zoomBlur: 4
+};
+
+// MIDI Note On -> hot cue pads (first note of each 8-note bank)
+const HOT_CUE_NOTES = {
+  trigger: 36, // C1-G1: jump to cue (sets it if empty)
+  clear: 44    // G#1-D#2: clear cue
+};
+
+// Overlay layers above the playlist deck (MAX_LAYERS in video.frag)
+const LAYER_COUNT = 4;
+
+// Drag data type for reordering the playlist (keeps desktop file drops apart)
+const PLAYLIST_DRAG_TYPE = 'application/x-playlist-clip';
+
+// Dropped files played into the audio analysis (FLAC/OGG often arrive without a MIME type)
+const AUDIO_FILE_PATTERN = /\.(mp3|wav|ogg|oga|flac|m4a)$/i;
+
+// Parameters the modulation matrix can drive (all applied every frame) -> MIDI target giving name and range
+const MODULATION_TARGETS = {
+  videoOpacity: 'video.opacity',
+  videoSaturation: 'video.saturation',
+  videoHueShift: 'video.hueShift',
+  videoBrightness: 'video.brightness',
+  videoContrast: 'video.contrast',
+  videoBlur: 'video.blur',
+  videoChromaticAberration: 'video.chromaticAberration',
+  videoScale: 'video.scale',
+  videoRotationSpeed: 'video.rotationSpeed',
+  videoKaleidoscope: 'video.kaleidoscope',
+  videoChromaKeyTolerance: 'video.chromaKeyTolerance',
+  videoLumaKeyThreshold: 'video.lumaKeyThreshold',
+  particleSize: 'particles.size',
+  particleOpacity: 'particles.opacity',
+  cameraFOV: 'camera.fov',
+  cameraPositionX: 'camera.positionX',
+  cameraPositionY: 'camera.positionY',
+  cameraPositionZ: 'camera.positionZ',
+  bgColorHue: 'scene.bgColorHue',
+  bgBrightness: 'scene.bgBrightness'
+};
+
+// CC 91-95: each owns one matrix route whose depth follows the CC (0-2, times depthScale)
+const MODULATION_PRESETS = {
+  bassToParticleSize: { source: 'bass', target: 'particleSize', depthScale: 0.1 },
+  midToColorShift: { source: 'mid', target: 'videoHueShift', depthScale: 0.25 },
+  trebleToBloom: { source: 'treble', target: 'videoBrightness', depthScale: 0.15 },
+  kickToFlash: { source: 'kick', target: 'videoBrightness', curve: 'exponential', depthScale: 0.25 },
+  overallToScale: { source: 'overall', target: 'videoScale', depthScale: 0.2 }
+};
 
 class VideoSynthSequencer {
   constructor() {
     // Core systems
     this.videoManager = new VideoManager();
+    this.layerStack = new LayerStack(this.videoManager, LAYER_COUNT);
     this.audioEngine = new AudioEngine();
     this.midiController = new MIDIController();
     this.midiMapper = new MIDIMapper();
     this.midiLearn = new MIDILearn(this.midiController, this.midiMapper);
     this.performanceMonitor = new PerformanceMonitor();
     this.stateManager = new StateManager();
+    this.playlistStore = new PlaylistStore();
 
     // Three.js components
     this.scene = null;
@@ -31,16 +95,34 @@ class VideoSynthSequencer {
     this.renderer = null;
     this.videoMesh = null;
     this.videoTexture = null;
+    this.videoTextures = new Map(); // video element / ImageSource -> THREE.Texture
     this.particleSystem = null;
 
     // State
     this.isInitialized = false;
     this.guiVisible = true;
     this.midiMapVisible = false;
+    this.isRestoringPlaylist = false;
+
+    // Playlist panel selection
+    this.selectedVideoIds = new Set();
+    this.lastSelectedIndex = null;
+
+    // Audio file position slider is being dragged
+    this.isSeekingAudioFile = false;
+
+    // One bar per layout band (see setupBandMeters)
+    this.bandMeters = [];
 
     // Effect parameters (controlled by MIDI CC 35-98)
     this.params = this.initializeParameters();
 
+    // Audio -> parameter routing; liveParams are the modulated values used for rendering
+    this.modulationMatrix = new ModulationMatrix();
+    this.modulationMatrix.setTargets(this.getModulationTargets());
+    this.syncModulationSettings();
+    this.liveParams = this.params;
+
     // Animation
     this.clock = new THREE.Clock();
     this.animationId = null;
@@ -67,6 +149,16 @@ class VideoSynthSequencer {
       videoRotationSpeed: 0,
       videoKaleidoscope: 1,
 
+      // Video keying (no default CC, assign with MIDI Learn)
+      videoKeyMode: 0, // 0 off, 1 chroma, 2 luma
+      videoChromaKeyColor: '#00ff00',
+      videoChromaKeyTolerance: 0.1,
+      videoChromaKeySoftness: 0.1,
+      videoChromaKeySpill: 0.5,
+      videoLumaKeyThreshold: 0.1,
+      videoLumaKeySoftness: 0.1,
+      videoLumaKeyInvert: 0,
+
       // Particles (CC 46-57)
       particleCount: 1000,
       particleSize: 2.0,
@@ -105,6 +197,47 @@ class VideoSynthSequencer {
     };
   }
 
+  /**
+   * Describe the modulatable parameters from their MIDI mappings
+   * @returns {object[]} { param, name, min, max }
+   */
+  getModulationTargets() {
+    const mappings = [...this.midiMapper.getAllMappings(), ...this.midiMapper.getAllAuxMappings()];
+
+    return Object.entries(MODULATION_TARGETS).map(([param, target]) => {
+      const mapping = mappings.find(m => m.target === target);
+      return { param, name: mapping.name, min: mapping.min, max: mapping.max };
+    });
+  }
+
+  /**
+   * Follow a CC 91-95 preset value with its matrix route (created on first use)
+   * @param {string} param - Key of MODULATION_PRESETS
+   */
+  applyModulationPreset(param) {
+    const preset = MODULATION_PRESETS[param];
+    const depth = this.params[param] * preset.depthScale;
+    let route = this.modulationMatrix.getPresetRoute(param);
+
+    if (!route) {
+      if (depth <= 0) return;
+
+      const { depthScale, ...settings } = preset;
+      route = this.modulationMatrix.addRoute({ ...settings, preset: param });
+    }
+
+    this.modulationMatrix.setRouteProperty(route.id, 'depth', depth);
+  }
+
+  /**
+   * Apply CC 91-98 (preset depths, smoothing, intensity) to the modulation matrix
+   */
+  syncModulationSettings() {
+    Object.keys(MODULATION_PRESETS).forEach(param => this.applyModulationPreset(param));
+    this.modulationMatrix.setSmoothing(this.params.audioSmoothing);
+    this.modulationMatrix.setIntensity(this.params.globalAudioIntensity);
+  }
+
   /**
    * Initialize application
    */
@@ -136,6 +269,9 @@ class VideoSynthSequencer {
     // Start animation loop
     this.animate();
 
+    // Bring back the playlist of the last session (reload or crash)
+    await this.restorePlaylist();
+
     this.isInitialized = true;
     console.log('✅ Initialization complete');
   }
@@ -199,10 +335,39 @@ class VideoSynthSequencer {
    */
   createVideoPlane() {
     const geometry = new THREE.PlaneGeometry(16, 9);
-    const material = new THREE.MeshBasicMaterial({
-      color: 0xffffff,
-      transparent: true,
-      opacity: 1.0
+    const material = new THREE.ShaderMaterial({
+      vertexShader: videoVertexShader,
+      fragmentShader: videoFragmentShader,
+      uniforms: {
+        uTexture: { value: null },
+        uHasTexture: { value: false },
+        uTexelSize: { value: new THREE.Vector2(1 / 1920, 1 / 1080) },
+        uPrevTexture: { value: null },
+        uTransitionType: { value: 0 },
+        uTransition: { value: 0 },
+        uLayerTextures: { value: new Array(LAYER_COUNT).fill(null) },
+        uLayerOpacity: { value: new Array(LAYER_COUNT).fill(0) },
+        uLayerBlendMode: { value: new Array(LAYER_COUNT).fill(0) },
+        uLayerTransform: { value: Array.from({ length: LAYER_COUNT }, () => new THREE.Matrix3()) },
+        uOpacity: { value: this.params.videoOpacity },
+        uSaturation: { value: this.params.videoSaturation },
+        uHueShift: { value: this.params.videoHueShift },
+        uBrightness: { value: this.params.videoBrightness },
+        uContrast: { value: this.params.videoContrast },
+        uBlur: { value: this.params.videoBlur },
+        uChromaticAberration: { value: this.params.videoChromaticAberration },
+        uScale: { value: this.params.videoScale },
+        uKaleidoscope: { value: this.params.videoKaleidoscope },
+        uKeyMode: { value: 0 },
+        uKeyColor: { value: new THREE.Color(this.params.videoChromaKeyColor) },
+        uChromaTolerance: { value: this.params.videoChromaKeyTolerance },
+        uChromaSoftness: { value: this.params.videoChromaKeySoftness },
+        uChromaSpill: { value: this.params.videoChromaKeySpill },
+        uLumaThreshold: { value: this.params.videoLumaKeyThreshold },
+        uLumaSoftness: { value: this.params.videoLumaKeySoftness },
+        uLumaInvert: { value: false }
+      },
+      transparent: true
     });
 
     this.videoMesh = new THREE.Mesh(geometry, material);
@@ -217,15 +382,162 @@ class VideoSynthSequencer {
 
     if (videoElement) {
       if (!this.videoTexture || this.videoTexture.image !== videoElement) {
-        // Create new video texture
-        this.videoTexture = new THREE.VideoTexture(videoElement);
-        this.videoTexture.minFilter = THREE.LinearFilter;
-        this.videoTexture.magFilter = THREE.LinearFilter;
-        this.videoTexture.format = THREE.RGBFormat;
-
-        this.videoMesh.material.map = this.videoTexture;
-        this.videoMesh.material.needsUpdate = true;
+        this.videoTexture = this.getVideoTexture(videoElement);
+
+        const uniforms = this.videoMesh.material.uniforms;
+        uniforms.uTexture.value = this.videoTexture;
+        uniforms.uHasTexture.value = true;
+      }
+    }
+  }
+
+  /**
+   * Get (or create) the texture for a video element
+   * @param {HTMLVideoElement|ImageSource} videoElement
+   * @returns {THREE.Texture}
+   */
+  getVideoTexture(videoElement) {
+    let texture = this.videoTextures.get(videoElement);
+
+    if (!texture) {
+      texture = videoElement.isImageSource
+        ? new THREE.CanvasTexture(videoElement.canvas)
+        : new VideoFrameTexture(videoElement);
+      texture.minFilter = THREE.LinearFilter;
+      texture.magFilter = THREE.LinearFilter;
+      this.videoTextures.set(videoElement, texture);
+    }
+
+    return texture;
+  }
+
+  /**
+   * Dispose textures of videos no longer in the playlist or on a layer
+   */
+  pruneVideoTextures() {
+    this.layerStack.pruneClips();
+
+    const elements = new Set(this.videoManager.videos.map(v => v.element));
+    this.layerStack.layers.forEach(layer => {
+      if (layer.element) elements.add(layer.element);
+    });
+
+    for (const [element, texture] of this.videoTextures.entries()) {
+      if (!elements.has(element)) {
+        texture.dispose();
+        this.videoTextures.delete(element);
+
+        if (this.videoTexture === texture) {
+          this.videoTexture = null;
+        }
+      }
+    }
+  }
+
+  /**
+   * Upload image sources that drew a new frame (video textures track their own frames)
+   */
+  updateImageTextures() {
+    for (const [element, texture] of this.videoTextures.entries()) {
+      if (element.isImageSource && element.consumeNewFrame()) {
+        texture.needsUpdate = true;
+      }
+    }
+  }
+
+  /**
+   * Feed the outgoing deck and transition progress to the shader
+   */
+  updateTransitionUniforms() {
+    if (!this.videoMesh) return;
+
+    const uniforms = this.videoMesh.material.uniforms;
+    const transition = this.videoManager.getTransitionState();
+
+    if (transition && TRANSITION_SHADER_TYPES[transition.type]) {
+      uniforms.uPrevTexture.value = this.getVideoTexture(transition.fromElement);
+      uniforms.uTransitionType.value = TRANSITION_SHADER_TYPES[transition.type];
+      uniforms.uTransition.value = transition.progress;
+    } else {
+      uniforms.uPrevTexture.value = null;
+      uniforms.uTransitionType.value = 0;
+      uniforms.uTransition.value = 0;
+    }
+  }
+
+  /**
+   * Feed overlay layer textures, blend modes and transforms to the shader
+   */
+  updateLayerUniforms() {
+    if (!this.videoMesh) return;
+
+    const uniforms = this.videoMesh.material.uniforms;
+
+    this.layerStack.layers.forEach((layer, index) => {
+      if (!this.layerStack.isLayerVisible(layer)) {
+        uniforms.uLayerTextures.value[index] = null;
+        uniforms.uLayerOpacity.value[index] = 0;
+        return;
       }
+
+      uniforms.uLayerTextures.value[index] = this.getVideoTexture(layer.element);
+      uniforms.uLayerOpacity.value[index] = layer.opacity;
+      uniforms.uLayerBlendMode.value[index] = this.layerStack.blendModes.indexOf(layer.blendMode);
+      this.computeLayerTransform(layer, uniforms.uLayerTransform.value[index]);
+    });
+  }
+
+  /**
+   * Build the plane UV -> layer UV matrix for a layer's offset, scale and rotation
+   * @param {object} layer
+   * @param {THREE.Matrix3} target
+   */
+  computeLayerTransform(layer, target) {
+    const parameters = this.videoMesh.geometry.parameters;
+    const aspect = parameters.width / parameters.height;
+
+    // Rotate in a square space so the layer is not skewed by the plane's aspect
+    target.makeTranslation(-0.5 - layer.offsetX, -0.5 - layer.offsetY)
+      .scale(aspect / layer.scale, 1 / layer.scale)
+      .rotate(THREE.MathUtils.degToRad(layer.rotation))
+      .scale(1 / aspect, 1)
+      .translate(0.5, 0.5);
+  }
+
+  /**
+   * Push video effect parameters (CC 36-45) into the shader uniforms
+   */
+  updateVideoUniforms() {
+    if (!this.videoMesh) return;
+
+    const uniforms = this.videoMesh.material.uniforms;
+
+    // Modulated values (see ModulationMatrix)
+    const params = this.liveParams;
+
+    uniforms.uOpacity.value = params.videoOpacity;
+    uniforms.uSaturation.value = params.videoSaturation;
+    uniforms.uHueShift.value = params.videoHueShift;
+    uniforms.uBrightness.value = params.videoBrightness;
+    uniforms.uContrast.value = params.videoContrast;
+    uniforms.uBlur.value = params.videoBlur;
+    uniforms.uChromaticAberration.value = params.videoChromaticAberration;
+    uniforms.uScale.value = params.videoScale;
+    uniforms.uKaleidoscope.value = params.videoKaleidoscope;
+
+    uniforms.uKeyMode.value = Math.round(params.videoKeyMode);
+    uniforms.uKeyColor.value.set(params.videoChromaKeyColor);
+    uniforms.uChromaTolerance.value = params.videoChromaKeyTolerance;
+    uniforms.uChromaSoftness.value = params.videoChromaKeySoftness;
+    uniforms.uChromaSpill.value = params.videoChromaKeySpill;
+    uniforms.uLumaThreshold.value = params.videoLumaKeyThreshold;
+    uniforms.uLumaSoftness.value = params.videoLumaKeySoftness;
+    uniforms.uLumaInvert.value = params.videoLumaKeyInvert >= 0.5;
+
+    // Blur radius in texels of the clip on screen; its size is only known once metadata loads
+    const videoElement = this.videoManager.getCurrentVideoElement();
+    if (videoElement?.videoWidth && videoElement.videoHeight) {
+      uniforms.uTexelSize.value.set(1 / videoElement.videoWidth, 1 / videoElement.videoHeight);
     }
   }
 
@@ -281,6 +593,31 @@ class VideoSynthSequencer {
       this.requestAudioPermission();
     });
 
+    document.getElementById('audio-input-source').addEventListener('change', (e) => {
+      this.setAudioInputSource(e.target.value);
+    });
+
+    // Audio input device and channels
+    const audioDeviceSelect = document.getElementById('audio-input-device');
+    audioDeviceSelect.addEventListener('focus', () => this.refreshAudioInputList());
+    audioDeviceSelect.addEventListener('change', (e) => {
+      this.setAudioInputDevice(e.target.value);
+    });
+
+    document.getElementById('audio-input-channels').addEventListener('change', (e) => {
+      const channels = e.target.value ? e.target.value.split(',').map(Number) : null;
+      this.audioEngine.setInputChannels(channels);
+    });
+
+    this.refreshAudioInputList();
+
+    document.getElementById('beat-detection-mode').addEventListener('change', (e) => {
+      this.audioEngine.setBeatDetectionMode(e.target.value);
+    });
+
+    // Audio file transport
+    this.setupAudioFileControls();
+
     // Video upload via drop zone
     const dropZone = document.getElementById('drop-zone');
     const fileInput = document.getElementById('video-upload');
@@ -301,48 +638,418 @@ class VideoSynthSequencer {
       dropZone.classList.remove('drag-over');
 
       const files = Array.from(e.dataTransfer.files).filter(f =>
-        f.type.includes('video')
+        f.type.includes('video') || f.type.startsWith('image/') || this.isAudioFile(f)
       );
 
-      files.forEach(file => this.handleVideoUpload(file));
+      this.handleMediaUpload(files);
     });
 
     fileInput.addEventListener('change', (e) => {
       const files = Array.from(e.target.files);
-      files.forEach(file => this.handleVideoUpload(file));
+      this.handleMediaUpload(files);
       fileInput.value = ''; // Reset input
     });
 
+    // Live camera
+    const cameraSelect = document.getElementById('camera-device');
+    cameraSelect.addEventListener('focus', () => this.refreshCameraList());
+
+    document.getElementById('add-camera-btn').addEventListener('click', () => {
+      this.handleAddCamera();
+    });
+
     // Playback controls
     document.getElementById('play-pause-btn').addEventListener('click', () => {
       this.videoManager.togglePlayPause();
     });
 
     document.getElementById('next-video-btn').addEventListener('click', () => {
-      this.videoManager.nextVideo();
+      this.videoManager.requestNextVideo();
     });
 
     document.getElementById('prev-video-btn').addEventListener('click', () => {
-      this.videoManager.previousVideo();
+      this.videoManager.requestPreviousVideo();
     });
 
     document.getElementById('reset-btn').addEventListener('click', () => {
       this.resetAllEffects();
     });
 
+    // Playlist selection
+    document.getElementById('select-all-btn').addEventListener('click', () => {
+      this.videoManager.getAllVideos().forEach(video => this.selectedVideoIds.add(video.id));
+      this.updateVideoList();
+    });
+
+    document.getElementById('delete-selected-btn').addEventListener('click', () => {
+      this.removeSelectedVideos();
+    });
+
+    // Clip region
+    document.getElementById('mark-in-btn').addEventListener('click', () => {
+      this.videoManager.markInPoint();
+      this.updateClipRegionInfo();
+      this.persistPlaylist();
+    });
+
+    document.getElementById('mark-out-btn').addEventListener('click', () => {
+      this.videoManager.markOutPoint();
+      this.updateClipRegionInfo();
+      this.persistPlaylist();
+    });
+
+    document.getElementById('reset-region-btn').addEventListener('click', () => {
+      const current = this.videoManager.getCurrentVideo();
+      if (current) {
+        this.videoManager.resetClipRegion(current.id);
+        this.updateClipRegionInfo();
+        this.persistPlaylist();
+      }
+    });
+
+    document.getElementById('clip-loop-count').addEventListener('change', (e) => {
+      const current = this.videoManager.getCurrentVideo();
+      if (current) {
+        this.videoManager.setClipRegion(current.id, { loopCount: parseInt(e.target.value) || 0 });
+        this.updateClipRegionInfo();
+        this.persistPlaylist();
+      }
+    });
+
+    document.getElementById('clip-direction').addEventListener('change', (e) => {
+      const current = this.videoManager.getCurrentVideo();
+      if (current) {
+        this.videoManager.setClipDirection(current.id, e.target.value || null);
+        this.persistPlaylist();
+      }
+    });
+
+    document.getElementById('clip-weight').addEventListener('change', (e) => {
+      const current = this.videoManager.getCurrentVideo();
+      if (current) {
+        this.videoManager.setClipWeight(current.id, parseFloat(e.target.value));
+        this.updateClipRegionInfo();
+        this.persistPlaylist();
+      }
+    });
+
+    // Playback direction
+    document.getElementById('play-direction').addEventListener('change', (e) => {
+      this.videoManager.setPlayDirection(e.target.value);
+    });
+
+    // Beat-synced advance
+    const advanceMode = document.getElementById('advance-mode');
+    const advanceEvery = document.getElementById('advance-every');
+    const quantizeManual = document.getElementById('quantize-manual');
+
+    const applyAdvanceMode = () => {
+      this.videoManager.setAdvanceMode(advanceMode.value, parseInt(advanceEvery.value) || 1);
+      advanceEvery.value = this.videoManager.advanceEvery;
+    };
+
+    document.getElementById('order-mode').addEventListener('change', (e) => {
+      this.videoManager.setOrderMode(e.target.value);
+    });
+
+    advanceMode.addEventListener('change', applyAdvanceMode);
+    advanceEvery.addEventListener('change', applyAdvanceMode);
+
+    quantizeManual.addEventListener('change', () => {
+      this.videoManager.setQuantizeManual(quantizeManual.checked);
+    });
+
+    // Transitions
+    const transitionType = document.getElementById('transition-type');
+    const transitionDuration = document.getElementById('transition-duration');
+    const transitionDurationValue = document.getElementById('transition-duration-value');
+
+    transitionType.addEventListener('change', () => {
+      this.videoManager.setTransitionType(transitionType.value);
+    });
+
+    transitionDuration.addEventListener('input', () => {
+      this.videoManager.setTransitionDuration(parseFloat(transitionDuration.value));
+      transitionDurationValue.textContent = `${this.videoManager.transitionDuration.toFixed(1)}s`;
+    });
+
+    this.syncPlaylistControls();
+
+    // Hot cue pads
+    this.setupCuePads();
+
+    // Overlay layers
+    this.setupLayerControls();
+
+    // Chroma / luma key
+    this.setupKeyControls();
+
     // Setup audio level meters
     this.setupAudioMeters();
+    this.setupBandLayoutControls();
+    this.setupNormalizationControls();
+    this.setupModulationControls();
 
     // Setup MIDI CC list
     this.setupMIDIMapPanel();
   }
 
+  /**
+   * Reflect VideoManager playlist settings in the control panel
+   */
+  syncPlaylistControls() {
+    document.getElementById('play-direction').value = this.videoManager.playDirection;
+
+    document.getElementById('order-mode').value = this.videoManager.orderMode;
+    document.getElementById('advance-mode').value = this.videoManager.advanceMode;
+    document.getElementById('advance-every').value = this.videoManager.advanceEvery;
+    document.getElementById('quantize-manual').checked = this.videoManager.quantizeManual;
+
+    document.getElementById('transition-type').value = this.videoManager.transitionType;
+    document.getElementById('transition-duration').value = this.videoManager.transitionDuration;
+    document.getElementById('transition-duration-value').textContent =
+      `${this.videoManager.transitionDuration.toFixed(1)}s`;
+  }
+
+  /**
+   * Setup hot cue pads in UI
+   */
+  setupCuePads() {
+    const container = document.getElementById('cue-pads');
+
+    for (let slot = 0; slot < this.videoManager.maxCues; slot++) {
+      const pad = document.createElement('button');
+      pad.className = 'cue-pad';
+      pad.id = `cue-pad-${slot}`;
+      pad.textContent = slot + 1;
+      pad.title = 'Click: jump / set cue — Alt+Click: clear cue';
+
+      pad.addEventListener('click', (e) => {
+        if (e.altKey) {
+          this.clearCue(slot);
+        } else {
+          this.triggerCue(slot);
+        }
+      });
+
+      container.appendChild(pad);
+    }
+  }
+
+  /**
+   * Wire the keying controls and their MIDI Learn buttons
+   */
+  setupKeyControls() {
+    document.getElementById('key-mode').addEventListener('change', (e) => {
+      this.params.videoKeyMode = parseInt(e.target.value);
+    });
+
+    document.getElementById('chroma-key-color').addEventListener('input', (e) => {
+      this.params.videoChromaKeyColor = e.target.value;
+    });
+
+    document.querySelectorAll('.key-slider').forEach(input => {
+      input.addEventListener('input', () => {
+        this.params[input.dataset.param] = parseFloat(input.value);
+      });
+    });
+
+    document.getElementById('luma-key-invert').addEventListener('change', (e) => {
+      this.params.videoLumaKeyInvert = e.target.checked ? 1 : 0;
+    });
+
+    document.querySelectorAll('.learn-btn[data-learn]').forEach(button => {
+      button.addEventListener('click', () => {
+        const target = button.dataset.learn;
+
+        // Clicking the armed button again cancels
+        if (this.midiLearn.isLearning && this.midiLearn.learningTarget?.target === target) {
+          this.midiLearn.cancelLearning();
+          return;
+        }
+
+        this.midiLearn.startLearningParameter(target, this.midiMapper.getAuxMapping(target).name);
+        this.updateLearnButtons();
+      });
+    });
+
+    this.midiLearn.onLearnSuccess(() => this.updateLearnButtons());
+    this.midiLearn.onLearnCancel(() => this.updateLearnButtons());
+    this.midiLearn.onLearnTimeout(() => this.updateLearnButtons());
+
+    this.syncKeyControls();
+    this.updateLearnButtons();
+  }
+
+  /**
+   * Reflect keying parameters in the control panel
+   */
+  syncKeyControls() {
+    document.getElementById('key-mode').value = Math.round(this.params.videoKeyMode);
+    document.getElementById('chroma-key-color').value = this.params.videoChromaKeyColor;
+    document.getElementById('luma-key-invert').checked = this.params.videoLumaKeyInvert >= 0.5;
+
+    document.querySelectorAll('.key-slider').forEach(input => {
+      input.value = this.params[input.dataset.param];
+    });
+  }
+
+  /**
+   * Show the learned CC (or learn state) on each Learn button
+   */
+  updateLearnButtons() {
+    document.querySelectorAll('.learn-btn[data-learn]').forEach(button => {
+      const target = button.dataset.learn;
+      const learning = this.midiLearn.isLearning && this.midiLearn.learningTarget?.target === target;
+      const learnedCC = this.midiLearn.getLearnedCC(target);
+
+      button.classList.toggle('learning', learning);
+      button.textContent = learning ? '...' : (learnedCC !== null ? `CC ${learnedCC}` : 'Learn');
+    });
+  }
+
+  /**
+   * Build the overlay layer controls
+   */
+  setupLayerControls() {
+    const container = document.getElementById('layer-controls');
+
+    this.layerStack.layers.forEach((layer, index) => {
+      const panel = document.createElement('div');
+      panel.className = 'layer-panel';
+      panel.innerHTML = `
+        <div class="control-row">
+          <input type="checkbox" id="layer-${index}-enabled">
+          <label for="layer-${index}-clip">Layer ${index + 1}</label>
+          <select id="layer-${index}-clip"></select>
+        </div>
+        <div class="control-row">
+          <label for="layer-${index}-blendMode">Blend</label>
+          <select id="layer-${index}-blendMode">
+            ${this.layerStack.blendModes.map(mode => `<option value="${mode}">${mode}</option>`).join('')}
+          </select>
+        </div>
+        <div class="control-row">
+          <label for="layer-${index}-opacity">Opacity</label>
+          <input type="range" id="layer-${index}-opacity" min="0" max="1" step="0.01">
+        </div>
+        <div class="control-row">
+          <label for="layer-${index}-scale">Scale</label>
+          <input type="range" id="layer-${index}-scale" min="${this.layerStack.minScale}" max="${this.layerStack.maxScale}" step="0.01">
+        </div>
+        <div class="control-row">
+          <label for="layer-${index}-offsetX">X</label>
+          <input type="range" id="layer-${index}-offsetX" min="-1" max="1" step="0.01">
+        </div>
+        <div class="control-row">
+          <label for="layer-${index}-offsetY">Y</label>
+          <input type="range" id="layer-${index}-offsetY" min="-1" max="1" step="0.01">
+        </div>
+        <div class="control-row">
+          <label for="layer-${index}-rotation">Rotate</label>
+          <input type="range" id="layer-${index}-rotation" min="-180" max="180" step="1">
+        </div>
+      `;
+      container.appendChild(panel);
+
+      panel.querySelector(`#layer-${index}-clip`).addEventListener('change', (e) => {
+        this.layerStack.setLayerClip(index, e.target.value || null);
+        this.pruneVideoTextures();
+      });
+
+      panel.querySelector(`#layer-${index}-enabled`).addEventListener('change', (e) => {
+        this.layerStack.setLayerProperty(index, 'enabled', e.target.checked);
+      });
+
+      panel.querySelector(`#layer-${index}-blendMode`).addEventListener('change', (e) => {
+        this.layerStack.setLayerProperty(index, 'blendMode', e.target.value);
+      });
+
+      ['opacity', 'scale', 'offsetX', 'offsetY', 'rotation'].forEach(property => {
+        panel.querySelector(`#layer-${index}-${property}`).addEventListener('input', (e) => {
+          this.layerStack.setLayerProperty(index, property, parseFloat(e.target.value));
+        });
+      });
+    });
+
+    this.syncLayerControls();
+  }
+
+  /**
+   * Reflect LayerStack settings (and the playlist) in the layer controls
+   */
+  syncLayerControls() {
+    const videos = this.videoManager.getAllVideos();
+
+    this.layerStack.layers.forEach((layer, index) => {
+      const clipSelect = document.getElementById(`layer-${index}-clip`);
+      if (!clipSelect) return;
+
+      clipSelect.innerHTML = '<option value="">— Empty —</option>';
+      videos.forEach(video => {
+        const option = document.createElement('option');
+        option.value = video.id;
+        option.textContent = video.name;
+        clipSelect.appendChild(option);
+      });
+      clipSelect.value = layer.clipId || '';
+
+      document.getElementById(`layer-${index}-enabled`).checked = layer.enabled;
+      ['blendMode', 'opacity', 'scale', 'offsetX', 'offsetY', 'rotation'].forEach(property => {
+        document.getElementById(`layer-${index}-${property}`).value = layer[property];
+      });
+    });
+  }
+
+  /**
+   * Show which hot cues are set on the current clip
+   */
+  updateCuePads() {
+    this.videoManager.getCurrentCues().forEach((cue, slot) => {
+      const pad = document.getElementById(`cue-pad-${slot}`);
+      if (pad) {
+        pad.classList.toggle('set', cue !== null);
+      }
+    });
+  }
+
+  /**
+   * Trigger hot cue (jump, or set when empty)
+   * @param {number} slot
+   */
+  triggerCue(slot) {
+    // Triggering an empty slot sets it
+    const wasSet = this.videoManager.getCurrentCues()[slot] !== null;
+    this.videoManager.triggerCue(slot);
+    this.updateCuePads();
+
+    if (!wasSet) {
+      this.persistPlaylist();
+    }
+
+    const pad = document.getElementById(`cue-pad-${slot}`);
+    if (pad) {
+      pad.classList.add('active');
+      setTimeout(() => pad.classList.remove('active'), 150);
+    }
+  }
+
+  /**
+   * Clear hot cue
+   * @param {number} slot
+   */
+  clearCue(slot) {
+    this.videoManager.clearCue(slot);
+    this.updateCuePads();
+    this.persistPlaylist();
+  }
+
   /**
    * Setup audio level meters in UI
    */
   setupAudioMeters() {
     const container = document.getElementById('audio-meters');
-    const bands = ['Bass', 'Mid', 'Treble', 'Overall'];
+    const bands = ['Bass', 'Mid', 'Treble', 'Overall', 'Kick', 'Snare', 'Hi-Hat'];
 
     bands.forEach(band => {
       const meter = document.createElement('div');
@@ -358,62 +1065,335 @@ class VideoSynthSequencer {
   }
 
   /**
-   * Setup MIDI map panel
+   * Setup auto gain (per-band normalization) controls
    */
-  setupMIDIMapPanel() {
-    const container = document.getElementById('midi-cc-list');
-    const mappings = this.midiMapper.getAllMappings();
+  setupNormalizationControls() {
+    document.getElementById('agc-enabled').addEventListener('change', (e) => {
+      this.audioEngine.setNormalization({ enabled: e.target.checked });
+    });
 
-    // Show first 20 mappings for demo
-    mappings.slice(0, 20).forEach(mapping => {
-      const item = document.createElement('div');
-      item.className = 'midi-cc-item';
-      item.id = `midi-cc-${mapping.cc}`;
-      item.innerHTML = `
-        <div class="cc-number">CC${mapping.cc}</div>
-        <div class="cc-name">${mapping.name}</div>
-        <div class="cc-value" id="cc-value-${mapping.cc}">0.00</div>
-      `;
-      container.appendChild(item);
+    document.getElementById('agc-freeze').addEventListener('change', (e) => {
+      this.audioEngine.setNormalization({ frozen: e.target.checked });
+    });
+
+    document.querySelectorAll('.agc-slider').forEach(input => {
+      input.addEventListener('input', () => {
+        this.audioEngine.setNormalization({ [input.dataset.setting]: parseFloat(input.value) });
+        this.syncNormalizationControls();
+      });
     });
+
+    this.syncNormalizationControls();
   }
 
   /**
-   * Setup keyboard shortcuts
+   * Reflect auto gain settings in the control panel
    */
-  setupKeyboardShortcuts() {
-    window.addEventListener('keydown', (e) => {
-      // Prevent default for our shortcuts
-      const shortcuts = ['g', 'm', 'h', ' ', 'n', 'p', 'r', 'f', 's', 'l'];
-      if (shortcuts.includes(e.key.toLowerCase())) {
-        e.preventDefault();
-      }
+  syncNormalizationControls() {
+    const normalization = this.audioEngine.getNormalization();
 
-      switch (e.key.toLowerCase()) {
-        case 'g':
-          this.toggleGUI();
-          break;
-        case 'm':
-          this.toggleMIDIMap();
-          break;
-        case 'h':
-          this.hideAll();
-          break;
-        case ' ':
-          this.videoManager.togglePlayPause();
-          break;
-        case 'n':
-          this.videoManager.nextVideo();
-          break;
-        case 'p':
-          this.videoManager.previousVideo();
-          break;
-        case 'r':
-          this.resetAllEffects();
-          break;
-        case 'f':
-          this.toggleFullscreen();
-          break;
+    document.getElementById('agc-enabled').checked = normalization.enabled;
+    document.getElementById('agc-freeze').checked = normalization.frozen;
+
+    document.querySelectorAll('.agc-slider').forEach(input => {
+      const value = normalization[input.dataset.setting];
+      input.value = value;
+      document.getElementById(`${input.id}-value`).textContent = `${value.toFixed(2)}${input.dataset.unit ?? ''}`;
+    });
+  }
+
+  /**
+   * Setup the modulation matrix editor
+   */
+  setupModulationControls() {
+    document.getElementById('add-route-btn').addEventListener('click', () => {
+      this.modulationMatrix.addRoute();
+      this.renderModulationRoutes();
+    });
+
+    this.renderModulationRoutes();
+  }
+
+  /**
+   * Build one panel per modulation route
+   */
+  renderModulationRoutes() {
+    const container = document.getElementById('modulation-routes');
+    if (!container) return;
+
+    const matrix = this.modulationMatrix;
+    const options = (values, label = value => value) =>
+      values.map(value => `<option value="${value}">${label(value)}</option>`).join('');
+    // Keep sources from another band layout selectable until the route is changed
+    const sourceOptions = options([...new Set([
+      ...this.audioEngine.getModulationSourceNames(),
+      ...matrix.routes.map(route => route.source)
+    ])]);
+    const targetOptions = matrix.getTargets()
+      .map(target => `<option value="${target.param}">${target.name}</option>`)
+      .join('');
+
+    container.innerHTML = '';
+
+    matrix.routes.forEach((route, index) => {
+      const id = route.id;
+      const presetMapping = route.preset
+        ? this.midiMapper.getAllMappings().find(m => m.target === `audioMod.${route.preset}`)
+        : null;
+
+      const panel = document.createElement('div');
+      panel.className = 'route-panel';
+      panel.innerHTML = `
+        <div class="control-row">
+          <input type="checkbox" id="route-${id}-enabled">
+          <label for="route-${id}-source">${presetMapping ? `CC ${presetMapping.cc}` : `Route ${index + 1}`}</label>
+          <select id="route-${id}-source">${sourceOptions}</select>
+          <button class="route-remove-btn" id="route-${id}-remove" title="Remove route">✕</button>
+        </div>
+        <div class="control-row">
+          <label for="route-${id}-target">Target</label>
+          <select id="route-${id}-target">${targetOptions}</select>
+        </div>
+        <div class="control-row">
+          <label for="route-${id}-depth">Depth</label>
+          <input type="range" id="route-${id}-depth" min="0" max="1" step="0.01">
+        </div>
+        <div class="control-row">
+          <label for="route-${id}-offset">Offset</label>
+          <input type="range" id="route-${id}-offset" min="-1" max="1" step="0.01">
+        </div>
+        <div class="control-row">
+          <label for="route-${id}-polarity">Polarity</label>
+          <select id="route-${id}-polarity">${options(matrix.polarities)}</select>
+        </div>
+        <div class="control-row">
+          <label for="route-${id}-curve">Curve</label>
+          <select id="route-${id}-curve">${options(matrix.curves)}</select>
+        </div>
+      `;
+      container.appendChild(panel);
+
+      panel.querySelector(`#route-${id}-enabled`).addEventListener('change', (e) => {
+        matrix.setRouteProperty(id, 'enabled', e.target.checked);
+      });
+
+      ['source', 'target', 'polarity', 'curve'].forEach(property => {
+        panel.querySelector(`#route-${id}-${property}`).addEventListener('change', (e) => {
+          matrix.setRouteProperty(id, property, e.target.value);
+        });
+      });
+
+      ['depth', 'offset'].forEach(property => {
+        panel.querySelector(`#route-${id}-${property}`).addEventListener('input', (e) => {
+          matrix.setRouteProperty(id, property, parseFloat(e.target.value));
+        });
+      });
+
+      panel.querySelector(`#route-${id}-remove`).addEventListener('click', () => {
+        matrix.removeRoute(id);
+        this.renderModulationRoutes();
+      });
+    });
+
+    this.syncModulationRoutes();
+  }
+
+  /**
+   * Reflect route settings in the modulation matrix editor
+   */
+  syncModulationRoutes() {
+    this.modulationMatrix.routes.forEach(route => {
+      const enabled = document.getElementById(`route-${route.id}-enabled`);
+      if (!enabled) return;
+
+      enabled.checked = route.enabled;
+      ['source', 'target', 'depth', 'offset', 'polarity', 'curve'].forEach(property => {
+        document.getElementById(`route-${route.id}-${property}`).value = route[property];
+      });
+    });
+  }
+
+  /**
+   * Setup band layout controls
+   */
+  setupBandLayoutControls() {
+    document.getElementById('band-layout').addEventListener('change', () => this.applyBandLayout());
+    document.getElementById('band-count').addEventListener('change', () => this.applyBandLayout());
+    document.getElementById('band-ranges').addEventListener('change', () => this.applyBandLayout());
+
+    this.syncBandLayoutControls();
+  }
+
+  /**
+   * Apply the band layout chosen in the control panel
+   */
+  applyBandLayout() {
+    const type = document.getElementById('band-layout').value;
+    const layout = { type };
+
+    if (type === 'log') {
+      layout.count = parseInt(document.getElementById('band-count').value, 10) || 16;
+    } else if (type === 'custom') {
+      layout.ranges = this.parseBandRanges(document.getElementById('band-ranges').value);
+
+      if (layout.ranges.length === 0) {
+        alert('Enter custom bands as Hz ranges, e.g. 20-60, 60-250, 2k-4k');
+        this.syncBandLayoutControls();
+        return;
+      }
+    }
+
+    this.audioEngine.setBandLayout(layout);
+    this.syncBandLayoutControls();
+  }
+
+  /**
+   * Parse "20-60, 60-250, 2k-4k" into Hz ranges
+   * @param {string} text
+   * @returns {object[]} { min, max }
+   */
+  parseBandRanges(text) {
+    const parseFrequency = (value) => {
+      const match = value.trim().match(/^(\d+(?:\.\d+)?)\s*(k?)$/i);
+      return match ? parseFloat(match[1]) * (match[2] ? 1000 : 1) : NaN;
+    };
+
+    return text
+      .split(',')
+      .map(range => range.split('-'))
+      .filter(parts => parts.length === 2)
+      .map(([min, max]) => ({ min: parseFrequency(min), max: parseFrequency(max) }))
+      .filter(range => range.min < range.max);
+  }
+
+  /**
+   * Reflect the band layout in the control panel and rebuild the band meters
+   */
+  syncBandLayoutControls() {
+    const layout = this.audioEngine.getBandLayout();
+
+    if (layout) {
+      document.getElementById('band-layout').value = layout.type;
+      if (layout.count) {
+        document.getElementById('band-count').value = layout.count;
+      }
+      if (layout.ranges) {
+        document.getElementById('band-ranges').value = layout.ranges
+          .map(range => `${range.min}-${range.max}`)
+          .join(', ');
+      }
+    }
+
+    const type = document.getElementById('band-layout').value;
+    document.getElementById('band-count-row').classList.toggle('hidden', type !== 'log');
+    document.getElementById('band-ranges-row').classList.toggle('hidden', type !== 'custom');
+
+    this.setupBandMeters();
+    this.renderModulationRoutes();
+  }
+
+  /**
+   * Build one bar per layout band (empty until audio is enabled)
+   */
+  setupBandMeters() {
+    const container = document.getElementById('band-meters');
+    container.innerHTML = '';
+    this.bandMeters = [];
+
+    this.audioEngine.getLayoutBands().forEach(band => {
+      const meter = document.createElement('div');
+      meter.className = 'band-meter';
+      meter.title = `${band.name} (${Math.round(band.min)}-${Math.round(band.max)} Hz)`;
+      meter.innerHTML = '<div class="band-meter-fill"></div><div class="band-meter-peak"></div>';
+      container.appendChild(meter);
+
+      this.bandMeters.push({
+        fill: meter.querySelector('.band-meter-fill'),
+        peak: meter.querySelector('.band-meter-peak')
+      });
+    });
+  }
+
+  /**
+   * Setup MIDI map panel
+   */
+  setupMIDIMapPanel() {
+    const container = document.getElementById('midi-cc-list');
+    const mappings = this.midiMapper.getAllMappings();
+
+    // Show first 20 mappings for demo
+    mappings.slice(0, 20).forEach(mapping => {
+      const item = document.createElement('div');
+      item.className = 'midi-cc-item';
+      item.id = `midi-cc-${mapping.cc}`;
+      item.innerHTML = `
+        <div class="cc-number">CC${mapping.cc}</div>
+        <div class="cc-name">${mapping.name}</div>
+        <div class="cc-value" id="cc-value-${mapping.cc}">0.00</div>
+      `;
+      container.appendChild(item);
+    });
+  }
+
+  /**
+   * Setup keyboard shortcuts
+   */
+  setupKeyboardShortcuts() {
+    window.addEventListener('keydown', (e) => {
+      // Hot cues: Shift+1-8 jump/set, Alt+1-8 clear
+      const digit = e.code.startsWith('Digit') ? parseInt(e.code.slice(5)) : NaN;
+      if ((e.shiftKey || e.altKey) && digit >= 1 && digit <= this.videoManager.maxCues) {
+        e.preventDefault();
+
+        if (e.altKey) {
+          this.clearCue(digit - 1);
+        } else {
+          this.triggerCue(digit - 1);
+        }
+        return;
+      }
+
+      // Prevent default for our shortcuts
+      const shortcuts = ['g', 'm', 'h', ' ', 'n', 'p', 'r', 'f', 's', 'l', 'i', 'o'];
+      if (shortcuts.includes(e.key.toLowerCase())) {
+        e.preventDefault();
+      }
+
+      switch (e.key.toLowerCase()) {
+        case 'g':
+          this.toggleGUI();
+          break;
+        case 'm':
+          this.toggleMIDIMap();
+          break;
+        case 'h':
+          this.hideAll();
+          break;
+        case ' ':
+          this.videoManager.togglePlayPause();
+          break;
+        case 'n':
+          this.videoManager.requestNextVideo();
+          break;
+        case 'p':
+          this.videoManager.requestPreviousVideo();
+          break;
+        case 'i':
+          this.videoManager.markInPoint();
+          this.updateClipRegionInfo();
+          this.persistPlaylist();
+          break;
+        case 'o':
+          this.videoManager.markOutPoint();
+          this.updateClipRegionInfo();
+          this.persistPlaylist();
+          break;
+        case 'r':
+          this.resetAllEffects();
+          break;
+        case 'f':
+          this.toggleFullscreen();
+          break;
         case 's':
           this.saveState();
           break;
@@ -456,8 +1436,13 @@ class VideoSynthSequencer {
       }
     });
 
+    // MIDILearn applies learned mappings before the default table
     this.midiController.onCC((ccData) => {
-      this.midiMapper.handleCC(ccData.cc, ccData.value);
+      this.midiLearn.processCC(ccData.cc, ccData.value);
+    });
+
+    this.midiController.onNote((noteData) => {
+      this.handleMIDINote(noteData);
     });
 
     this.midiController.onConnect(() => {
@@ -481,10 +1466,11 @@ class VideoSynthSequencer {
       this.params[`video${prop.charAt(0).toUpperCase() + prop.slice(1)}`] = value;
 
       // Apply to video manager
+      // Shader uniforms are refreshed every frame in update()
       if (prop === 'playbackRate') {
         this.videoManager.setPlaybackRate(value);
-      } else if (prop === 'opacity' && this.videoMesh) {
-        this.videoMesh.material.opacity = value;
+      } else if (mapping.category === 'key') {
+        this.syncKeyControls();
       }
     } else if (mapping.target.startsWith('particles.')) {
       const prop = mapping.target.split('.')[1];
@@ -498,10 +1484,36 @@ class VideoSynthSequencer {
 
       if (prop === 'beatSensitivity' && this.audioEngine.beatDetector) {
         this.audioEngine.setBeatSensitivity(value);
+      } else if (MODULATION_PRESETS[prop]) {
+        const isNewRoute = !this.modulationMatrix.getPresetRoute(prop);
+        this.applyModulationPreset(prop);
+
+        if (isNewRoute) {
+          this.renderModulationRoutes();
+        } else {
+          this.syncModulationRoutes();
+        }
+      } else {
+        this.syncModulationSettings();
       }
     }
   }
 
+  /**
+   * Handle MIDI notes (hot cue pads)
+   */
+  handleMIDINote(data) {
+    const maxCues = this.videoManager.maxCues;
+    const triggerSlot = data.note - HOT_CUE_NOTES.trigger;
+    const clearSlot = data.note - HOT_CUE_NOTES.clear;
+
+    if (triggerSlot >= 0 && triggerSlot < maxCues) {
+      this.triggerCue(triggerSlot);
+    } else if (clearSlot >= 0 && clearSlot < maxCues) {
+      this.clearCue(clearSlot);
+    }
+  }
+
   /**
    * Setup video callbacks
    */
@@ -509,11 +1521,27 @@ class VideoSynthSequencer {
     this.videoManager.onVideoLoaded((video) => {
       this.updateVideoList();
       this.updateVideoTexture();
+
+      // Keep the file so the playlist survives a reload
+      if (!this.isRestoringPlaylist) {
+        this.playlistStore.saveClip(video);
+        this.persistPlaylist();
+      }
     });
 
     this.videoManager.onVideoChange((video) => {
+      // The 'video' audio input follows the clip on screen
+      this.audioEngine.setMediaElement(video.element);
+
+      this.updateVideoList();
       this.updateVideoTexture();
+      this.updateClipRegionInfo();
+      this.updateCuePads();
       this.updateStats();
+
+      if (!this.isRestoringPlaylist) {
+        this.persistPlaylist();
+      }
     });
   }
 
@@ -534,19 +1562,307 @@ class VideoSynthSequencer {
    * Request audio permission
    */
   async requestAudioPermission() {
-    const success = await this.audioEngine.initialize();
+    if (this.audioEngine.isReady()) return;
+
+    const current = this.videoManager.getCurrentVideo();
+    this.audioEngine.setMediaElement(current ? current.element : null);
+
+    const inputSource = document.getElementById('audio-input-source').value;
+    const success = await this.audioEngine.initialize(inputSource);
 
     if (success) {
       this.audioEngine.start();
 
+      // Drive beat-synced clip switching from the tempo clock once it has locked,
+      // so missing kicks still count; raw onsets until then
+      this.audioEngine.beatDetector.setBeatsPerBar(this.videoManager.beatsPerBar);
+      this.audioEngine.onTempoBeat(() => this.videoManager.handleBeat());
+      this.audioEngine.onBeat(() => {
+        if (!this.audioEngine.getBeatState().isTempoLocked) {
+          this.videoManager.handleBeat();
+        }
+      });
+
+      // The transport readout is only refreshed once a second, so show the end straight away
+      this.audioEngine.onFileEnded(() => this.updateAudioFileControls());
+
+      // Hot-swapped interfaces: keep the pickers in step with what is plugged in
+      this.audioEngine.onDevicesChanged(() => this.refreshAudioInputList());
+
+      // Device labels are only exposed once microphone permission is granted
+      this.refreshAudioInputList();
+
+      // Layout bands become modulation sources once the analyzer exists
+      this.renderModulationRoutes();
+
       const btn = document.getElementById('audio-permission-btn');
-      btn.textContent = '✅ Microphone Active';
+      btn.textContent = '✅ Audio Active';
       btn.classList.add('success');
 
       console.log('✅ Audio enabled');
       this.updateStats();
     } else {
-      alert('Failed to enable microphone. Please check your browser permissions.');
+      alert('Failed to enable audio. Please check your browser permissions.');
+    }
+  }
+
+  /**
+   * Switch the audio analysis input
+   * @param {string} inputSource - microphone, video, file or none
+   */
+  async setAudioInputSource(inputSource) {
+    const select = document.getElementById('audio-input-source');
+    const previous = this.audioEngine.inputSource;
+
+    try {
+      await this.audioEngine.setInputSource(inputSource);
+    } catch (error) {
+      console.error('Failed to switch audio input:', error);
+      alert('Failed to switch audio input. Please check your browser permissions.');
+      await this.audioEngine.setInputSource(previous).catch(() => {});
+    }
+
+    select.value = this.audioEngine.inputSource;
+    this.refreshAudioInputList();
+  }
+
+  /**
+   * Switch the microphone/interface the analysis listens to
+   * @param {string} deviceId - Empty for the default input
+   */
+  async setAudioInputDevice(deviceId) {
+    try {
+      await this.audioEngine.setInputDevice(deviceId || null);
+    } catch (error) {
+      console.error('Failed to switch audio input device:', error);
+      alert(`Failed to switch audio input device: ${error.message}`);
+    }
+
+    this.refreshAudioInputList();
+  }
+
+  /**
+   * Populate the audio input device and channel pickers
+   */
+  async refreshAudioInputList() {
+    try {
+      const deviceSelect = document.getElementById('audio-input-device');
+      const devices = await this.audioEngine.listInputDevices();
+      const input = this.audioEngine.getInputInfo();
+
+      deviceSelect.innerHTML = '<option value="">Default Input</option>';
+
+      devices.forEach(device => {
+        const option = document.createElement('option');
+        option.value = device.deviceId;
+        option.textContent = device.label;
+        deviceSelect.appendChild(option);
+      });
+
+      // The remembered device stays selected while unplugged, so it is picked up again on return
+      if (input.deviceId && !devices.some(device => device.deviceId === input.deviceId)) {
+        const option = document.createElement('option');
+        option.value = input.deviceId;
+        option.textContent = 'Remembered device (disconnected)';
+        deviceSelect.appendChild(option);
+      }
+
+      deviceSelect.value = input.deviceId ?? '';
+
+      this.refreshAudioChannelList(input);
+    } catch (error) {
+      console.warn('Failed to refresh audio input list:', error);
+    }
+  }
+
+  /**
+   * Offer single channels and stereo pairs of the open input
+   * @param {object} input - AudioEngine.getInputInfo()
+   */
+  refreshAudioChannelList(input) {
+    const select = document.getElementById('audio-input-channels');
+    const count = Math.max(input.channelCount, ...(input.channels ?? []).map(channel => channel + 1));
+    const options = [{ value: '', label: 'All (mix)' }];
+
+    for (let channel = 0; channel < count; channel++) {
+      options.push({ value: `${channel}`, label: `Ch ${channel + 1}` });
+    }
+
+    for (let channel = 0; channel + 1 < count; channel += 2) {
+      options.push({ value: `${channel},${channel + 1}`, label: `Ch ${channel + 1}+${channel + 2}` });
+    }
+
+    select.innerHTML = '';
+
+    options.forEach(({ value, label }) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      select.appendChild(option);
+    });
+
+    select.value = input.channels ? input.channels.join(',') : '';
+  }
+
+  /**
+   * Route dropped/picked files to videos, images and image sequences
+   * @param {File[]} files
+   */
+  async handleMediaUpload(files) {
+    const audioFiles = files.filter(f => this.isAudioFile(f));
+    const videos = files.filter(f => f.type.includes('video') && !this.isAudioFile(f));
+    const images = files.filter(f => f.type.startsWith('image/'));
+    const { sequences, singles } = this.videoManager.groupImageSequences(images);
+
+    // One track at a time; the last one dropped wins
+    if (audioFiles.length > 0) {
+      await this.handleAudioFileUpload(audioFiles[audioFiles.length - 1]);
+    }
+
+    // Added one at a time so the playlist keeps the drop order
+    for (const file of videos) {
+      await this.handleVideoUpload(file);
+    }
+
+    for (const file of singles) {
+      await this.handleImageUpload(file);
+    }
+
+    for (const sequence of sequences) {
+      await this.handleSequenceUpload(sequence);
+    }
+  }
+
+  /**
+   * Check if a file is an audio track
+   * @param {File} file
+   * @returns {boolean}
+   */
+  isAudioFile(file) {
+    return file.type.startsWith('audio/') || AUDIO_FILE_PATTERN.test(file.name);
+  }
+
+  /**
+   * Load an audio file, switch the analysis input to it and start playback
+   * @param {File} file
+   */
+  async handleAudioFileUpload(file) {
+    // Decoding needs the audio context
+    if (!this.audioEngine.isReady()) {
+      document.getElementById('audio-input-source').value = 'file';
+      await this.requestAudioPermission();
+      if (!this.audioEngine.isReady()) return;
+    }
+
+    const loaded = await this.audioEngine.loadAudioFile(file);
+
+    if (!loaded) {
+      alert(`Failed to decode audio file: ${file.name}`);
+      return;
+    }
+
+    await this.setAudioInputSource('file');
+    this.audioEngine.playFile();
+    this.updateAudioFileControls();
+
+    console.log(`✅ Audio file playing: ${file.name}`);
+  }
+
+  /**
+   * Wire the audio file transport controls
+   */
+  setupAudioFileControls() {
+    const seek = document.getElementById('audio-file-seek');
+
+    document.getElementById('audio-file-play-btn').addEventListener('click', () => {
+      const state = this.audioEngine.getFileState();
+      if (!state) return;
+
+      if (state.isPlaying) {
+        this.audioEngine.pauseFile();
+      } else {
+        // Playing a file means analysing it
+        if (this.audioEngine.inputSource !== 'file') {
+          this.setAudioInputSource('file');
+        }
+        this.audioEngine.playFile();
+      }
+      this.updateAudioFileControls();
+    });
+
+    document.getElementById('audio-file-stop-btn').addEventListener('click', () => {
+      this.audioEngine.stopFile();
+      this.updateAudioFileControls();
+    });
+
+    document.getElementById('audio-file-loop').addEventListener('change', (e) => {
+      this.audioEngine.setFileLoop(e.target.checked);
+    });
+
+    // Don't fight the user while they drag the position slider
+    seek.addEventListener('input', () => {
+      this.isSeekingAudioFile = true;
+    });
+
+    seek.addEventListener('change', () => {
+      this.audioEngine.seekFile(parseFloat(seek.value));
+      this.isSeekingAudioFile = false;
+      this.updateAudioFileControls();
+    });
+  }
+
+  /**
+   * Reflect the audio file transport in the control panel
+   */
+  updateAudioFileControls() {
+    const state = this.audioEngine.getFileState();
+    if (!state || !state.fileName) return;
+
+    const seek = document.getElementById('audio-file-seek');
+
+    document.getElementById('audio-file-info').textContent = state.fileName;
+    document.getElementById('audio-file-play-btn').textContent = state.isPlaying ? 'Pause' : 'Play';
+    document.getElementById('audio-file-play-btn').disabled = false;
+    document.getElementById('audio-file-stop-btn').disabled = false;
+    document.getElementById('audio-file-loop').checked = state.loop;
+    document.getElementById('audio-file-time').textContent =
+      `${this.formatTime(state.currentTime)} / ${this.formatTime(state.duration)}`;
+
+    seek.disabled = false;
+    seek.max = state.duration;
+
+    if (!this.isSeekingAudioFile) {
+      seek.value = state.currentTime;
+    }
+  }
+
+  /**
+   * Handle still image / GIF upload
+   */
+  async handleImageUpload(file) {
+    const holdDuration = parseFloat(document.getElementById('image-hold').value) || undefined;
+
+    try {
+      await this.videoManager.addImage(file, { holdDuration });
+      console.log(`✅ Image added: ${file.name}`);
+    } catch (error) {
+      console.error('Failed to add image:', error);
+      alert(`Failed to add image: ${error.message}`);
+    }
+  }
+
+  /**
+   * Handle numbered image sequence upload
+   */
+  async handleSequenceUpload(files) {
+    const frameRate = parseFloat(document.getElementById('sequence-fps').value) || undefined;
+
+    try {
+      const entry = await this.videoManager.addImageSequence(files, { frameRate });
+      console.log(`✅ Image sequence added: ${entry.name}`);
+    } catch (error) {
+      console.error('Failed to add image sequence:', error);
+      alert(`Failed to add image sequence: ${error.message}`);
     }
   }
 
@@ -563,6 +1879,49 @@ class VideoSynthSequencer {
     }
   }
 
+  /**
+   * Add the selected camera to the playlist
+   */
+  async handleAddCamera() {
+    const deviceId = document.getElementById('camera-device').value || undefined;
+    const [width, height] = document.getElementById('camera-resolution').value
+      .split('x')
+      .map(Number);
+
+    try {
+      const entry = await this.videoManager.addCamera({ deviceId, width, height });
+      console.log(`✅ Camera added: ${entry.name}`);
+
+      // Device labels are only exposed once camera permission is granted
+      this.refreshCameraList();
+    } catch (error) {
+      console.error('Failed to add camera:', error);
+      alert(`Failed to add camera: ${error.message}`);
+    }
+  }
+
+  /**
+   * Populate the camera picker
+   */
+  async refreshCameraList() {
+    const select = document.getElementById('camera-device');
+    const selected = select.value;
+    const cameras = await this.videoManager.listCameras();
+
+    select.innerHTML = '<option value="">Default Camera</option>';
+
+    cameras.forEach(camera => {
+      const option = document.createElement('option');
+      option.value = camera.deviceId;
+      option.textContent = camera.label;
+      select.appendChild(option);
+    });
+
+    if (cameras.some(camera => camera.deviceId === selected)) {
+      select.value = selected;
+    }
+  }
+
   /**
    * Update video list in UI
    */
@@ -570,17 +1929,218 @@ class VideoSynthSequencer {
     const container = document.getElementById('video-list');
     const videos = this.videoManager.getAllVideos();
 
+    // Forget selections of clips that are gone
+    const ids = new Set(videos.map(video => video.id));
+    this.selectedVideoIds.forEach(id => {
+      if (!ids.has(id)) this.selectedVideoIds.delete(id);
+    });
+
     container.innerHTML = '';
 
-    videos.forEach(video => {
+    videos.forEach((video, index) => {
       const item = document.createElement('div');
-      item.className = `video-item ${video.isCurrent ? 'active' : ''}`;
-      item.innerHTML = `
-        <span>${video.name}</span>
-        <button onclick="app.removeVideo('${video.id}')">✕</button>
-      `;
+      item.className = 'video-item';
+      item.classList.toggle('active', video.isCurrent);
+      item.classList.toggle('selected', this.selectedVideoIds.has(video.id));
+      item.draggable = true;
+      item.dataset.id = video.id;
+
+      const thumb = document.createElement('img');
+      thumb.className = 'video-thumb';
+      thumb.alt = '';
+      if (video.thumbnail) {
+        thumb.src = video.thumbnail;
+      }
+
+      const details = document.createElement('div');
+      details.className = 'video-details';
+
+      const name = document.createElement('div');
+      name.className = 'video-name';
+      name.textContent = `${index + 1}. ${video.name}`;
+      name.title = video.name;
+
+      const meta = document.createElement('div');
+      meta.className = 'video-meta';
+      meta.textContent = `${this.formatClipDuration(video)} · ${video.width}×${video.height}`;
+
+      details.append(name, meta);
+
+      const remove = document.createElement('button');
+      remove.textContent = '✕';
+      remove.title = 'Remove from playlist';
+      remove.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.removeVideo(video.id);
+      });
+
+      item.append(thumb, details, remove);
+
+      item.addEventListener('click', (e) => this.handlePlaylistClick(e, video.id, index));
+      this.setupPlaylistDrag(item, video.id);
+
       container.appendChild(item);
     });
+
+    document.getElementById('delete-selected-btn').disabled = this.selectedVideoIds.size === 0;
+
+    // Layer clip pickers list the playlist
+    this.syncLayerControls();
+  }
+
+  /**
+   * Format a playlist entry's length for display
+   * @param {object} video - From VideoManager.getAllVideos()
+   * @returns {string}
+   */
+  formatClipDuration(video) {
+    if (video.type === 'camera') return 'Live';
+    if (!Number.isFinite(video.duration)) return '∞';
+
+    return this.formatTime(video.duration);
+  }
+
+  /**
+   * Format seconds as m:ss
+   * @param {number} time
+   * @returns {string}
+   */
+  formatTime(time) {
+    const minutes = Math.floor(time / 60);
+    const seconds = Math.floor(time % 60).toString().padStart(2, '0');
+    return `${minutes}:${seconds}`;
+  }
+
+  /**
+   * Jump to a clip, or change the selection with Ctrl/Cmd/Shift held
+   * @param {MouseEvent} e
+   * @param {string} id
+   * @param {number} index
+   */
+  handlePlaylistClick(e, id, index) {
+    if (e.shiftKey && this.lastSelectedIndex !== null) {
+      // Select the range from the last clicked clip
+      const videos = this.videoManager.getAllVideos();
+      const start = Math.min(this.lastSelectedIndex, index);
+      const end = Math.max(this.lastSelectedIndex, index);
+
+      for (let i = start; i <= end && i < videos.length; i++) {
+        this.selectedVideoIds.add(videos[i].id);
+      }
+    } else if (e.ctrlKey || e.metaKey) {
+      if (this.selectedVideoIds.has(id)) {
+        this.selectedVideoIds.delete(id);
+      } else {
+        this.selectedVideoIds.add(id);
+      }
+      this.lastSelectedIndex = index;
+    } else {
+      this.selectedVideoIds.clear();
+      this.lastSelectedIndex = index;
+      this.videoManager.jumpToVideo(index);
+    }
+
+    this.updateVideoList();
+  }
+
+  /**
+   * Make a playlist item draggable for reordering
+   * @param {HTMLElement} item
+   * @param {string} id
+   */
+  setupPlaylistDrag(item, id) {
+    const clearDropMarker = () => item.classList.remove('drop-before', 'drop-after');
+
+    // Drop below the middle of an item to land after it
+    const isAfter = (e) => {
+      const rect = item.getBoundingClientRect();
+      return e.clientY > rect.top + rect.height / 2;
+    };
+
+    item.addEventListener('dragstart', (e) => {
+      e.dataTransfer.setData(PLAYLIST_DRAG_TYPE, id);
+      e.dataTransfer.effectAllowed = 'move';
+      item.classList.add('dragging');
+    });
+
+    item.addEventListener('dragend', () => {
+      item.classList.remove('dragging');
+    });
+
+    item.addEventListener('dragover', (e) => {
+      // Ignore files dragged in from the desktop
+      if (!e.dataTransfer.types.includes(PLAYLIST_DRAG_TYPE)) return;
+
+      e.preventDefault();
+      e.dataTransfer.dropEffect = 'move';
+
+      const after = isAfter(e);
+      item.classList.toggle('drop-after', after);
+      item.classList.toggle('drop-before', !after);
+    });
+
+    item.addEventListener('dragleave', clearDropMarker);
+
+    item.addEventListener('drop', (e) => {
+      const draggedId = e.dataTransfer.getData(PLAYLIST_DRAG_TYPE);
+      if (!draggedId) return;
+
+      e.preventDefault();
+      clearDropMarker();
+
+      const videos = this.videoManager.videos;
+      const fromIndex = videos.findIndex(v => v.id === draggedId);
+      let toIndex = videos.findIndex(v => v.id === id) + (isAfter(e) ? 1 : 0);
+
+      // Removing the dragged clip shifts everything after it up by one
+      if (fromIndex < toIndex) toIndex--;
+
+      if (fromIndex !== toIndex && this.videoManager.reorderVideo(draggedId, toIndex)) {
+        this.lastSelectedIndex = null;
+        this.persistPlaylist();
+        this.updateVideoList();
+      }
+    });
+  }
+
+  /**
+   * Remove all selected clips from the playlist
+   */
+  removeSelectedVideos() {
+    const ids = [...this.selectedVideoIds];
+    if (ids.length === 0) return;
+
+    ids.forEach(id => {
+      this.videoManager.removeVideo(id);
+      this.playlistStore.deleteClip(id);
+    });
+
+    this.selectedVideoIds.clear();
+    this.lastSelectedIndex = null;
+    this.persistPlaylist();
+    this.pruneVideoTextures();
+    this.updateVideoList();
+  }
+
+  /**
+   * Show the current clip's in/out points and loop count
+   */
+  updateClipRegionInfo() {
+    const info = document.getElementById('clip-region-info');
+    const loopInput = document.getElementById('clip-loop-count');
+    const directionSelect = document.getElementById('clip-direction');
+    const current = this.videoManager.getCurrentVideo();
+
+    if (!current) {
+      info.textContent = 'No clip loaded';
+      return;
+    }
+
+    info.textContent = `In ${current.inPoint.toFixed(2)}s / Out ${current.outPoint.toFixed(2)}s`;
+    loopInput.value = current.loopCount;
+    directionSelect.value = current.direction || '';
+    document.getElementById('clip-weight').value = current.weight;
+    directionSelect.disabled = !this.videoManager.isSeekable(current);
   }
 
   /**
@@ -588,9 +2148,73 @@ class VideoSynthSequencer {
    */
   removeVideo(id) {
     this.videoManager.removeVideo(id);
+    this.playlistStore.deleteClip(id);
+    this.persistPlaylist();
+    this.pruneVideoTextures();
     this.updateVideoList();
   }
 
+  /**
+   * Re-create one stored playlist entry
+   * @param {object} clip - From PlaylistStore.loadPlaylist()
+   */
+  restoreClip(clip) {
+    const options = { id: clip.id, settings: clip.settings, autoplay: false };
+    const source = clip.settings.source || clip.source || {};
+
+    switch (clip.type) {
+      case 'camera':
+        return this.videoManager.addCamera({ ...source, ...options });
+      case 'image':
+      case 'gif':
+        return this.videoManager.addImage(clip.file, { ...source, ...options });
+      case 'sequence':
+        return this.videoManager.addImageSequence(clip.files, { ...source, ...options });
+      default:
+        return this.videoManager.addVideo(clip.file, options);
+    }
+  }
+
+  /**
+   * Save playlist order and clip settings to IndexedDB
+   */
+  persistPlaylist() {
+    return this.playlistStore.savePlaylist(this.videoManager.getState());
+  }
+
+  /**
+   * Restore the playlist saved in IndexedDB
+   */
+  async restorePlaylist() {
+    if (this.videoManager.videos.length > 0) {
+      console.log('Playlist already loaded, skipping restore');
+      return;
+    }
+
+    const saved = await this.playlistStore.loadPlaylist();
+    if (!saved) return;
+
+    this.isRestoringPlaylist = true;
+
+    try {
+      for (const clip of saved.clips) {
+        try {
+          await this.restoreClip(clip);
+        } catch (error) {
+          console.warn(`Failed to restore clip "${clip.name}":`, error);
+        }
+      }
+
+      this.videoManager.restoreState(saved.state);
+    } finally {
+      this.isRestoringPlaylist = false;
+    }
+
+    this.syncPlaylistControls();
+    this.updateVideoList();
+    console.log(`✅ Playlist restored (${this.videoManager.videos.length} clips)`);
+  }
+
   /**
    * Toggle GUI visibility
    */
@@ -625,6 +2249,10 @@ class VideoSynthSequencer {
   resetAllEffects() {
     this.params = this.initializeParameters();
     this.midiMapper.resetToDefaults();
+    this.syncKeyControls();
+    this.modulationMatrix.clearRoutes();
+    this.syncModulationSettings();
+    this.renderModulationRoutes();
     console.log('✅ All effects reset to defaults');
   }
 
@@ -646,26 +2274,74 @@ class VideoSynthSequencer {
     const state = {
       params: this.params,
       midiMappings: this.midiMapper.exportMappings(),
-      videoState: this.videoManager.getState()
+      videoState: this.videoManager.getState(),
+      layerState: this.layerStack.getState(),
+      audioState: this.audioEngine.getState(),
+      modulationRoutes: this.modulationMatrix.getState()
     };
 
     this.stateManager.saveState(state);
+    this.persistPlaylist();
     console.log('✅ State saved');
   }
 
   /**
    * Load saved state
    */
-  loadState() {
+  async loadState() {
     const state = this.stateManager.loadState();
 
     if (state) {
-      this.params = state.params || this.params;
+      // Defaults fill in parameters added since the state was saved
+      this.params = { ...this.initializeParameters(), ...(state.params || this.params) };
+      this.syncKeyControls();
+      if (state.modulationRoutes) {
+        this.modulationMatrix.restoreState(state.modulationRoutes);
+      }
+      this.syncModulationSettings();
+      this.renderModulationRoutes();
       if (state.midiMappings) {
         this.midiMapper.importMappings(state.midiMappings);
       }
+      if (state.audioState) {
+        this.restoreAudioState(state.audioState);
+      }
       console.log('✅ State loaded');
     }
+
+    await this.restorePlaylist();
+
+    // Layers reference playlist clips, so they come back last
+    if (state && state.layerState) {
+      this.layerStack.restoreState(state.layerState);
+      this.pruneVideoTextures();
+      this.syncLayerControls();
+    }
+  }
+
+  /**
+   * Apply saved audio input settings
+   * @param {object} audioState - From AudioEngine.getState()
+   */
+  restoreAudioState(audioState) {
+    if (audioState.inputSource && audioState.inputSource !== this.audioEngine.inputSource) {
+      this.setAudioInputSource(audioState.inputSource);
+    }
+
+    if (audioState.beatDetectionMode) {
+      this.audioEngine.setBeatDetectionMode(audioState.beatDetectionMode);
+      document.getElementById('beat-detection-mode').value = this.audioEngine.beatDetectionMode;
+    }
+
+    if (audioState.bandLayout) {
+      this.audioEngine.setBandLayout(audioState.bandLayout);
+      this.syncBandLayoutControls();
+    }
+
+    if (audioState.normalization) {
+      this.audioEngine.setNormalization(audioState.normalization);
+      this.syncNormalizationControls();
+    }
   }
 
   /**
@@ -675,7 +2351,10 @@ class VideoSynthSequencer {
     const state = this.stateManager.loadQuickPreset(slot);
 
     if (state) {
-      this.params = state.params || this.params;
+      this.params = { ...this.initializeParameters(), ...(state.params || this.params) };
+      this.syncKeyControls();
+      this.syncModulationSettings();
+      this.renderModulationRoutes();
       console.log(`✅ Loaded preset ${slot}`);
     } else {
       console.log(`No preset in slot ${slot}`);
@@ -690,6 +2369,8 @@ class VideoSynthSequencer {
 
     document.getElementById('fps-stat').textContent = `FPS: ${stats.fps}`;
     document.getElementById('frame-stat').textContent = `Frame: ${stats.frameTime}ms`;
+    document.getElementById('video-frames-stat').textContent =
+      `Video frames: ${stats.videoFps}fps, ${stats.videoDroppedFrames} dropped, ${stats.videoMissedFrames} missed`;
 
     const videoState = this.videoManager.getState();
     if (videoState.currentVideo) {
@@ -700,6 +2381,11 @@ class VideoSynthSequencer {
     document.getElementById('audio-stat').textContent =
       `Audio: ${this.audioEngine.isReady() ? 'Active' : 'Not active'}`;
 
+    const beatState = this.audioEngine.getBeatState();
+    document.getElementById('tempo-stat').textContent = beatState && beatState.isTempoLocked
+      ? `Tempo: ${beatState.bpm.toFixed(1)} BPM (${Math.round(beatState.tempoConfidence * 100)}%)`
+      : 'Tempo: --';
+
     document.getElementById('midi-stat').textContent =
       `MIDI: ${this.midiController.isReady() ? this.midiController.getActiveDeviceName() : 'Not connected'}`;
   }
@@ -707,9 +2393,19 @@ class VideoSynthSequencer {
   /**
    * Update audio meters in UI
    */
-  updateAudioMeters(levels) {
+  updateAudioMeters(levels, layoutBands = [], drums = null) {
     if (!levels) return;
 
+    // Layout changed since the meters were built
+    if (layoutBands.length !== this.bandMeters.length) {
+      this.setupBandMeters();
+    }
+
+    layoutBands.forEach((band, index) => {
+      this.bandMeters[index].fill.style.height = `${band.level * 100}%`;
+      this.bandMeters[index].peak.style.bottom = `${band.peak * 100}%`;
+    });
+
     const meterBass = document.getElementById('meter-bass');
     const meterMid = document.getElementById('meter-mid');
     const meterTreble = document.getElementById('meter-treble');
@@ -719,6 +2415,13 @@ class VideoSynthSequencer {
     if (meterMid) meterMid.style.width = `${levels.mid * 100}%`;
     if (meterTreble) meterTreble.style.width = `${levels.treble * 100}%`;
     if (meterOverall) meterOverall.style.width = `${levels.overall * 100}%`;
+
+    // Drum hits flash and decay
+    if (drums) {
+      document.getElementById('meter-kick').style.width = `${drums.kick.envelope * 100}%`;
+      document.getElementById('meter-snare').style.width = `${drums.snare.envelope * 100}%`;
+      document.getElementById('meter-hi-hat').style.width = `${drums.hiHat.envelope * 100}%`;
+    }
   }
 
   /**
@@ -728,27 +2431,33 @@ class VideoSynthSequencer {
     const deltaTime = this.clock.getDelta();
     const elapsedTime = this.clock.getElapsedTime();
 
-    // Update video texture
-    if (this.videoTexture) {
-      this.videoTexture.needsUpdate = true;
-    }
+    // Advance playlist transitions and overlay layers
+    this.videoManager.update();
+    this.layerStack.update(deltaTime);
+
+    this.updateTransitionUniforms();
 
     // Update audio
     const audioData = this.audioEngine.update();
     if (audioData) {
-      this.updateAudioMeters(audioData.levels);
+      this.updateAudioMeters(audioData.levels, audioData.layoutBands, audioData.beatDetector.drums);
 
       // Apply audio reactivity to particles
       if (this.particleSystem && this.params.particleAudioReactivity > 0) {
         const scale = 1 + (audioData.levels.overall * this.params.particleAudioReactivity);
         this.particleSystem.scale.setScalar(scale);
       }
+    }
 
-      // Apply audio modulation
-      if (this.params.bassToParticleSize > 0 && this.particleSystem) {
-        const sizeModulation = 1 + (audioData.levels.bass * this.params.bassToParticleSize);
-        this.particleSystem.material.size = this.params.particleSize * sizeModulation;
-      }
+    // Apply audio modulation (CC 91-98 and the routes in the modulation matrix)
+    this.liveParams = audioData
+      ? this.modulationMatrix.process(this.audioEngine.getModulationSources(), this.params)
+      : this.params;
+    const params = this.liveParams;
+
+    if (this.particleSystem) {
+      this.particleSystem.material.size = params.particleSize;
+      this.particleSystem.material.opacity = params.particleOpacity;
     }
 
     // Rotate particles
@@ -757,24 +2466,30 @@ class VideoSynthSequencer {
       this.particleSystem.rotation.x += deltaTime * 0.05;
     }
 
+    // Apply video effects
+    this.updateLayerUniforms();
+    this.updateVideoUniforms();
+    this.updateImageTextures();
+
     // Rotate video mesh
-    if (this.videoMesh && this.params.videoRotationSpeed !== 0) {
-      this.videoMesh.rotation.z += deltaTime * this.params.videoRotationSpeed;
+    if (this.videoMesh && params.videoRotationSpeed !== 0) {
+      this.videoMesh.rotation.z += deltaTime * params.videoRotationSpeed;
     }
 
     // Update camera
-    this.camera.fov = this.params.cameraFOV;
-    this.camera.position.x = this.params.cameraPositionX;
-    this.camera.position.y = this.params.cameraPositionY;
-    this.camera.position.z = this.params.cameraPositionZ;
+    this.camera.fov = params.cameraFOV;
+    this.camera.position.x = params.cameraPositionX;
+    this.camera.position.y = params.cameraPositionY;
+    this.camera.position.z = params.cameraPositionZ;
     this.camera.updateProjectionMatrix();
 
     // Update background color
-    const hue = this.params.bgColorHue / 360;
-    const brightness = this.params.bgBrightness;
+    const hue = params.bgColorHue / 360;
+    const brightness = params.bgBrightness;
     this.scene.background.setHSL(hue, 0.5, brightness);
 
     // Update performance monitor
+    this.performanceMonitor.setVideoFrameStats(this.videoTexture ? this.videoTexture.frameStats : null);
     this.performanceMonitor.update(this.renderer);
   }
 
@@ -797,6 +2512,7 @@ class VideoSynthSequencer {
     // Update stats every 60 frames
     if (this.clock.elapsedTime % 1 < 0.016) {
       this.updateStats();
+      this.updateAudioFileControls();
     }
   }
 
@@ -820,6 +2536,7 @@ class VideoSynthSequencer {
     this.performanceMonitor.stop();
     this.audioEngine.dispose();
     this.midiController.disconnect();
+    this.layerStack.dispose();
     this.videoManager.dispose();
 
     if (this.renderer) {
@@ -15,6 +15,7 @@ export class MIDIController {
 
     // Callbacks
     this.onCCCallback = null;
+    this.onNoteCallback = null;
     this.onConnectCallback = null;
     this.onDisconnectCallback = null;
     this.onErrorCallback = null;
@@ -131,7 +132,16 @@ export class MIDIController {
     const messageType = status & 0xF0;
     const channel = status & 0x0F;
 
-    if (messageType === 0xB0) { // Control Change
+    if (messageType === 0x90 && data2 > 0) { // Note On (velocity 0 is Note Off)
+      if (this.onNoteCallback) {
+        this.onNoteCallback({
+          note: data1,
+          velocity: data2,
+          channel,
+          timestamp: event.timeStamp
+        });
+      }
+    } else if (messageType === 0xB0) { // Control Change
       const cc = data1;
       const value = data2;
 
@@ -158,6 +168,14 @@ export class MIDIController {
     this.onCCCallback = callback;
   }
 
+  /**
+   * Register callback for Note On messages
+   * @param {Function} callback
+   */
+  onNote(callback) {
+    this.onNoteCallback = callback;
+  }
+
   /**
    * Register callback for connection events
    * @param {Function} callback
@@ -32,12 +32,31 @@ export class MIDILearn {
    * @param {string} parameterName - Name of the parameter being mapped
    */
   startLearning(targetCC, parameterName) {
+    this.beginLearning({ cc: targetCC, name: parameterName });
+  }
+
+  /**
+   * Start MIDI learn mode for a parameter without a default CC
+   * @param {string} target - Aux mapping target (e.g. 'video.chromaKeyTolerance')
+   * @param {string} parameterName - Name of the parameter being mapped
+   */
+  startLearningParameter(target, parameterName) {
+    this.beginLearning({ target, name: parameterName });
+  }
+
+  /**
+   * Enter learn mode (the next CC through processCC is captured)
+   * @param {object} learningTarget - { cc, name } or { target, name }
+   */
+  beginLearning(learningTarget) {
     if (this.isLearning) {
       this.cancelLearning();
     }
 
     this.isLearning = true;
-    this.learningTarget = { cc: targetCC, name: parameterName };
+    this.learningTarget = learningTarget;
+
+    const { cc: targetCC, target, name: parameterName } = learningTarget;
 
     console.log(`MIDI Learn: Waiting for CC input for "${parameterName}"...`);
 
@@ -48,15 +67,8 @@ export class MIDILearn {
 
     // Notify callback
     if (this.onLearnStartCallback) {
-      this.onLearnStartCallback({ targetCC, parameterName });
+      this.onLearnStartCallback({ targetCC, target, parameterName });
     }
-
-    // Listen for the next CC message
-    this.tempCCHandler = (data) => {
-      this.handleLearnCC(data.cc);
-    };
-
-    this.midiController.onCC(this.tempCCHandler);
   }
 
   /**
@@ -73,13 +85,24 @@ export class MIDILearn {
     }
 
     // Create custom mapping
-    const originalMapping = this.midiMapper.getMapping(this.learningTarget.cc);
+    const { target } = this.learningTarget;
+    const originalMapping = target
+      ? this.midiMapper.getAuxMapping(target)
+      : this.midiMapper.getMapping(this.learningTarget.cc);
 
     if (originalMapping) {
-      this.customMappings.set(cc, {
-        originalCC: this.learningTarget.cc,
-        mapping: { ...originalMapping }
-      });
+      // A parameter follows one CC at a time
+      if (target) {
+        for (const [learnedCC, data] of this.customMappings.entries()) {
+          if (data.target === target) {
+            this.customMappings.delete(learnedCC);
+          }
+        }
+      }
+
+      this.customMappings.set(cc, target
+        ? { target, mapping: { ...originalMapping } }
+        : { originalCC: this.learningTarget.cc, mapping: { ...originalMapping } });
 
       console.log(`MIDI Learn: Mapped CC ${cc} to "${this.learningTarget.name}"`);
 
@@ -91,6 +114,7 @@ export class MIDILearn {
         this.onLearnSuccessCallback({
           learnedCC: cc,
           targetCC: this.learningTarget.cc,
+          target,
           parameterName: this.learningTarget.name
         });
       }
@@ -139,12 +163,6 @@ export class MIDILearn {
       clearTimeout(this.learnTimeout);
       this.learnTimeout = null;
     }
-
-    // Remove temp handler
-    if (this.tempCCHandler) {
-      this.midiController.onCC(null);
-      this.tempCCHandler = null;
-    }
   }
 
   /**
@@ -156,6 +174,18 @@ export class MIDILearn {
     return this.customMappings.get(cc) ?? null;
   }
 
+  /**
+   * Find the CC learned for a parameter without a default CC
+   * @param {string} target
+   * @returns {number|null}
+   */
+  getLearnedCC(target) {
+    for (const [cc, data] of this.customMappings.entries()) {
+      if (data.target === target) return cc;
+    }
+    return null;
+  }
+
   /**
    * Get all custom mappings
    * @returns {array}
@@ -210,9 +240,18 @@ export class MIDILearn {
    * @param {number} value
    */
   processCC(cc, value) {
+    // Learn mode captures the CC instead of applying it
+    if (this.isLearning) {
+      this.handleLearnCC(cc);
+      return;
+    }
+
     const customMapping = this.customMappings.get(cc);
 
-    if (customMapping) {
+    if (customMapping?.target) {
+      // Learned parameter without a default CC
+      this.midiMapper.handleAuxCC(cc, customMapping.target, value);
+    } else if (customMapping) {
       // Use custom mapping - route to original CC
       this.midiMapper.handleCC(customMapping.originalCC, value);
     } else {
@@ -231,6 +270,7 @@ export class MIDILearn {
       for (const [cc, mapping] of this.customMappings.entries()) {
         data[cc] = {
           originalCC: mapping.originalCC,
+          target: mapping.target,
           mapping: mapping.mapping
         };
       }
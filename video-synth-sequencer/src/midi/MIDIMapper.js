@@ -8,7 +8,9 @@ export class MIDIMapper {
     // STRICT CC RANGE: 35-98 inclusive (64 total CCs)
     this.ccRange = { min: 35, max: 98 };
     this.mappings = this.initializeDefaultMappings();
+    this.auxMappings = this.initializeAuxMappings();
     this.activeValues = new Map();
+    this.auxValues = new Map();
     this.lastUpdateTime = new Map();
 
     // Callbacks
@@ -26,7 +28,7 @@ export class MIDIMapper {
     const mappings = new Map();
 
     // VIDEO EFFECTS (CC 35-45)
-    mappings.set(35, { name: 'Video Playback Speed', min: 0.25, max: 4.0, default: 1.0, target: 'video.playbackRate', category: 'video' });
+    mappings.set(35, { name: 'Video Playback Speed', min: -4.0, max: 4.0, default: 1.0, target: 'video.playbackRate', category: 'video' });
     mappings.set(36, { name: 'Video Opacity', min: 0, max: 1, default: 1.0, target: 'video.opacity', category: 'video' });
     mappings.set(37, { name: 'Video Saturation', min: -1, max: 2, default: 1.0, target: 'video.saturation', category: 'video' });
     mappings.set(38, { name: 'Video Hue Shift', min: 0, max: 360, default: 0, target: 'video.hueShift', category: 'video' });
@@ -91,15 +93,34 @@ export class MIDIMapper {
     mappings.set(89, { name: 'Fog Density', min: 0, max: 0.1, default: 0, target: 'scene.fogDensity', category: 'camera' });
     mappings.set(90, { name: 'Fog Color Hue', min: 0, max: 360, default: 200, target: 'scene.fogColorHue', category: 'camera' });
 
-    // AUDIO REACTIVE MODULATION (CC 91-98)
+    // AUDIO REACTIVE MODULATION (CC 91-98): 91-95 are preset routes in the modulation matrix, 96-98 global settings
     mappings.set(91, { name: 'Bass → Particle Size', min: 0, max: 2, default: 0, target: 'audioMod.bassToParticleSize', category: 'audio' });
     mappings.set(92, { name: 'Mid → Color Shift', min: 0, max: 2, default: 0, target: 'audioMod.midToColorShift', category: 'audio' });
-    mappings.set(93, { name: 'Treble → Bloom', min: 0, max: 2, default: 0, target: 'audioMod.trebleToBloom', category: 'audio' });
+    mappings.set(93, { name: 'Treble → Glow', min: 0, max: 2, default: 0, target: 'audioMod.trebleToBloom', category: 'audio' });
     mappings.set(94, { name: 'Kick → Flash Intensity', min: 0, max: 2, default: 0, target: 'audioMod.kickToFlash', category: 'audio' });
     mappings.set(95, { name: 'Overall → Scale Pulse', min: 0, max: 2, default: 0, target: 'audioMod.overallToScale', category: 'audio' });
-    mappings.set(96, { name: 'Audio Smoothing', min: 0, max: 0.99, default: 0.8, target: 'audioMod.smoothing', category: 'audio' });
+    mappings.set(96, { name: 'Audio Smoothing', min: 0, max: 0.99, default: 0.8, target: 'audioMod.audioSmoothing', category: 'audio' });
     mappings.set(97, { name: 'Beat Detection Sensitivity', min: 0.1, max: 2, default: 1.0, target: 'audioMod.beatSensitivity', category: 'audio' });
-    mappings.set(98, { name: 'Global Audio Intensity', min: 0, max: 3, default: 1.0, target: 'audioMod.globalIntensity', category: 'audio' });
+    mappings.set(98, { name: 'Global Audio Intensity', min: 0, max: 3, default: 1.0, target: 'audioMod.globalAudioIntensity', category: 'audio' });
+
+    return mappings;
+  }
+
+  /**
+   * Initialize parameters that have no default CC (assign one with MIDI Learn)
+   * @returns {Map} target -> mapping
+   */
+  initializeAuxMappings() {
+    const mappings = new Map();
+
+    // VIDEO KEYING
+    mappings.set('video.keyMode', { name: 'Key Mode (Off/Chroma/Luma)', min: 0, max: 2, default: 0, target: 'video.keyMode', category: 'key' });
+    mappings.set('video.chromaKeyTolerance', { name: 'Chroma Key Tolerance', min: 0, max: 0.5, default: 0.1, target: 'video.chromaKeyTolerance', category: 'key' });
+    mappings.set('video.chromaKeySoftness', { name: 'Chroma Key Softness', min: 0, max: 0.5, default: 0.1, target: 'video.chromaKeySoftness', category: 'key' });
+    mappings.set('video.chromaKeySpill', { name: 'Chroma Key Spill Suppression', min: 0, max: 1, default: 0.5, target: 'video.chromaKeySpill', category: 'key' });
+    mappings.set('video.lumaKeyThreshold', { name: 'Luma Key Threshold', min: 0, max: 1, default: 0.1, target: 'video.lumaKeyThreshold', category: 'key' });
+    mappings.set('video.lumaKeySoftness', { name: 'Luma Key Softness', min: 0, max: 0.5, default: 0.1, target: 'video.lumaKeySoftness', category: 'key' });
+    mappings.set('video.lumaKeyInvert', { name: 'Luma Key Invert', min: 0, max: 1, default: 0, target: 'video.lumaKeyInvert', category: 'key' });
 
     return mappings;
   }
@@ -117,14 +138,51 @@ export class MIDIMapper {
     const mapping = this.mappings.get(cc);
     if (!mapping) return;
 
-    // Normalize MIDI value (0-127) to parameter range
-    const normalized = value / 127;
-    const scaled = mapping.min + (normalized * (mapping.max - mapping.min));
+    const scaled = this.scaleValue(mapping, value);
 
     // Store value
     this.activeValues.set(cc, scaled);
     this.lastUpdateTime.set(cc, performance.now());
 
+    this.notifyValueChange(cc, value, scaled, mapping);
+  }
+
+  /**
+   * Handle a CC learned onto a parameter without a default CC
+   * @param {number} cc - CC number the value arrived on
+   * @param {string} target - Aux mapping target
+   * @param {number} value - MIDI value (0-127)
+   */
+  handleAuxCC(cc, target, value) {
+    const mapping = this.auxMappings.get(target);
+    if (!mapping) return;
+
+    const scaled = this.scaleValue(mapping, value);
+    this.auxValues.set(target, scaled);
+
+    this.notifyValueChange(cc, value, scaled, mapping);
+  }
+
+  /**
+   * Scale a MIDI value (0-127) to a mapping's range
+   * @param {object} mapping
+   * @param {number} value
+   * @returns {number}
+   */
+  scaleValue(mapping, value) {
+    return mapping.min + ((value / 127) * (mapping.max - mapping.min));
+  }
+
+  /**
+   * Notify the value change callback
+   * @param {number} cc
+   * @param {number} value - MIDI value (0-127)
+   * @param {number} scaled - Value in the mapping's range
+   * @param {object} mapping
+   */
+  notifyValueChange(cc, value, scaled, mapping) {
+    const normalized = value / 127;
+
     // Notify callback
     if (this.onValueChangeCallback) {
       this.onValueChangeCallback({
@@ -163,6 +221,30 @@ export class MIDIMapper {
     return this.mappings.get(cc) ?? null;
   }
 
+  /**
+   * Get a parameter mapping that has no default CC
+   * @param {string} target
+   * @returns {object|null}
+   */
+  getAuxMapping(target) {
+    return this.auxMappings.get(target) ?? null;
+  }
+
+  /**
+   * Get all parameter mappings without a default CC
+   * @returns {array}
+   */
+  getAllAuxMappings() {
+    const result = [];
+    for (const mapping of this.auxMappings.values()) {
+      result.push({
+        ...mapping,
+        currentValue: this.auxValues.get(mapping.target) ?? mapping.default
+      });
+    }
+    return result;
+  }
+
   /**
    * Get all mappings
    * @returns {array}
@@ -0,0 +1,304 @@
+// Video Plane Fragment Shader
+// A/B deck transitions, overlay layer compositing, kaleidoscope, blur,
+// chromatic aberration, color correction (CC 37-45) and chroma / luma keying
+varying vec2 vUv;
+
+uniform sampler2D uTexture;
+uniform bool uHasTexture;
+uniform vec2 uTexelSize;
+
+// Outgoing deck (0 = no transition, 1 = crossfade, 2 = luma wipe, 3 = dissolve to black, 4 = zoom blur)
+uniform sampler2D uPrevTexture;
+uniform int uTransitionType;
+uniform float uTransition;
+
+// Overlay layers above the deck (blend: 0 normal, 1 add, 2 screen, 3 multiply, 4 difference, 5 overlay)
+#define MAX_LAYERS 4
+uniform sampler2D uLayerTextures[MAX_LAYERS];
+uniform float uLayerOpacity[MAX_LAYERS]; // 0 = layer off
+uniform int uLayerBlendMode[MAX_LAYERS];
+uniform mat3 uLayerTransform[MAX_LAYERS]; // plane UV -> layer UV
+
+uniform float uOpacity;
+uniform float uSaturation;
+uniform float uHueShift;
+uniform float uBrightness;
+uniform float uContrast;
+uniform float uBlur;
+uniform float uChromaticAberration;
+uniform float uKaleidoscope;
+
+// Keying (0 = off, 1 = chroma key, 2 = luma key), keyed areas become transparent
+uniform int uKeyMode;
+uniform vec3 uKeyColor;
+uniform float uChromaTolerance; // CbCr distance fully keyed out
+uniform float uChromaSoftness; // edge width beyond the tolerance
+uniform float uChromaSpill; // 0-1, key color removed from what remains
+uniform float uLumaThreshold;
+uniform float uLumaSoftness;
+uniform bool uLumaInvert; // key out bright areas instead of dark
+
+const float PI = 3.14159265359;
+const int BLUR_SAMPLES = 16;
+const float GOLDEN_ANGLE = 2.39996323;
+const int ZOOM_SAMPLES = 8;
+const float LUMA_WIPE_SOFTNESS = 0.1;
+
+// Mirror UVs into N radial segments (1 = off)
+vec2 kaleidoscope(vec2 uv, float segments) {
+  if (segments < 2.0) {
+    return uv;
+  }
+
+  vec2 p = uv - 0.5;
+  float radius = length(p);
+  float angle = atan(p.y, p.x);
+  float segmentAngle = 2.0 * PI / segments;
+
+  angle = mod(angle, segmentAngle);
+  if (angle > segmentAngle * 0.5) {
+    angle = segmentAngle - angle;
+  }
+
+  return 0.5 + radius * vec2(cos(angle), sin(angle));
+}
+
+// Radial zoom smear toward the center, strength in UV units
+vec3 sampleZoomed(sampler2D tex, vec2 uv, float strength) {
+  vec3 sum = vec3(0.0);
+
+  for (int i = 0; i < ZOOM_SAMPLES; i++) {
+    float scale = 1.0 - strength * float(i) / float(ZOOM_SAMPLES);
+    sum += texture2D(tex, 0.5 + (uv - 0.5) * scale).rgb;
+  }
+
+  return sum / float(ZOOM_SAMPLES);
+}
+
+// Blend incoming and outgoing decks for the active transition
+vec3 sampleSource(vec2 uv) {
+  vec3 incoming = texture2D(uTexture, uv).rgb;
+
+  if (uTransitionType == 0) {
+    return incoming;
+  }
+
+  float t = clamp(uTransition, 0.0, 1.0);
+
+  if (uTransitionType == 2) {
+    // Dark areas of the outgoing clip give way first
+    vec3 outgoing = texture2D(uPrevTexture, uv).rgb;
+    float luma = dot(outgoing, vec3(0.299, 0.587, 0.114));
+    float edge = t * (1.0 + 2.0 * LUMA_WIPE_SOFTNESS) - LUMA_WIPE_SOFTNESS;
+    float mask = smoothstep(luma - LUMA_WIPE_SOFTNESS, luma + LUMA_WIPE_SOFTNESS, edge);
+    return mix(outgoing, incoming, mask);
+  }
+
+  if (uTransitionType == 3) {
+    vec3 outgoing = texture2D(uPrevTexture, uv).rgb;
+    return t < 0.5 ? outgoing * (1.0 - t * 2.0) : incoming * (t * 2.0 - 1.0);
+  }
+
+  if (uTransitionType == 4) {
+    // Smear peaks halfway through, where the decks swap
+    float strength = sin(t * PI) * 0.3;
+    vec3 outgoing = sampleZoomed(uPrevTexture, uv, strength);
+    incoming = sampleZoomed(uTexture, uv, strength);
+    return mix(outgoing, incoming, smoothstep(0.35, 0.65, t));
+  }
+
+  return mix(texture2D(uPrevTexture, uv).rgb, incoming, t);
+}
+
+// Sampler arrays only take constant indices in GLSL ES 3.00
+vec4 sampleLayer(int index, vec2 uv) {
+  if (index == 0) return texture2D(uLayerTextures[0], uv);
+  if (index == 1) return texture2D(uLayerTextures[1], uv);
+  if (index == 2) return texture2D(uLayerTextures[2], uv);
+  return texture2D(uLayerTextures[3], uv);
+}
+
+vec3 blendLayer(vec3 base, vec3 layer, int mode) {
+  if (mode == 1) return min(base + layer, 1.0);
+  if (mode == 2) return 1.0 - (1.0 - base) * (1.0 - layer);
+  if (mode == 3) return base * layer;
+  if (mode == 4) return abs(base - layer);
+  if (mode == 5) {
+    return mix(
+      2.0 * base * layer,
+      1.0 - 2.0 * (1.0 - base) * (1.0 - layer),
+      step(0.5, base)
+    );
+  }
+  return layer;
+}
+
+// Deck with the overlay layers composited on top, bottom to top
+vec3 sampleComposite(vec2 uv) {
+  vec3 color = sampleSource(uv);
+
+  for (int i = 0; i < MAX_LAYERS; i++) {
+    if (uLayerOpacity[i] <= 0.0) {
+      continue;
+    }
+
+    vec2 layerUv = (uLayerTransform[i] * vec3(uv, 1.0)).xy;
+
+    // Nothing outside the transformed layer rectangle
+    if (any(lessThan(layerUv, vec2(0.0))) || any(greaterThan(layerUv, vec2(1.0)))) {
+      continue;
+    }
+
+    vec4 layer = sampleLayer(i, layerUv);
+    color = mix(color, blendLayer(color, layer.rgb, uLayerBlendMode[i]), layer.a * uLayerOpacity[i]);
+  }
+
+  return color;
+}
+
+// Disc blur using a golden-angle spiral, radius in texels
+vec3 sampleBlurred(vec2 uv) {
+  if (uBlur <= 0.0) {
+    return sampleComposite(uv);
+  }
+
+  vec3 sum = vec3(0.0);
+
+  for (int i = 0; i < BLUR_SAMPLES; i++) {
+    float fi = float(i);
+    float r = sqrt((fi + 0.5) / float(BLUR_SAMPLES)) * uBlur;
+    float theta = fi * GOLDEN_ANGLE;
+    vec2 offset = vec2(cos(theta), sin(theta)) * r * uTexelSize;
+    sum += sampleComposite(uv + offset);
+  }
+
+  return sum / float(BLUR_SAMPLES);
+}
+
+// Split RGB channels radially from the center
+vec3 sampleWithAberration(vec2 uv) {
+  if (uChromaticAberration <= 0.0) {
+    return sampleBlurred(uv);
+  }
+
+  vec2 offset = (uv - 0.5) * uChromaticAberration * 2.0;
+
+  return vec3(
+    sampleBlurred(uv + offset).r,
+    sampleBlurred(uv).g,
+    sampleBlurred(uv - offset).b
+  );
+}
+
+// Rotate hue in YIQ space
+vec3 hueShift(vec3 color, float degrees) {
+  if (degrees == 0.0) {
+    return color;
+  }
+
+  const mat3 toYIQ = mat3(
+    0.299, 0.596, 0.211,
+    0.587, -0.274, -0.523,
+    0.114, -0.322, 0.312
+  );
+  const mat3 toRGB = mat3(
+    1.0, 1.0, 1.0,
+    0.956, -0.272, -1.106,
+    0.621, -0.647, 1.703
+  );
+
+  vec3 yiq = toYIQ * color;
+  float angle = radians(degrees);
+  float c = cos(angle);
+  float s = sin(angle);
+  yiq.yz = vec2(yiq.y * c - yiq.z * s, yiq.y * s + yiq.z * c);
+
+  return toRGB * yiq;
+}
+
+// Chroma plane of YCbCr (BT.601)
+vec2 toCbCr(vec3 color) {
+  return vec2(
+    dot(color, vec3(-0.168736, -0.331264, 0.5)),
+    dot(color, vec3(0.5, -0.418688, -0.081312))
+  );
+}
+
+vec3 fromYCbCr(float luma, vec2 cbcr) {
+  return vec3(
+    luma + 1.402 * cbcr.y,
+    luma - 0.344136 * cbcr.x - 0.714136 * cbcr.y,
+    luma + 1.772 * cbcr.x
+  );
+}
+
+// Key matte, 0 = keyed out, 1 = kept
+float keyMatte(vec3 color) {
+  if (uKeyMode == 1) {
+    float distanceToKey = distance(toCbCr(color), toCbCr(uKeyColor));
+    return smoothstep(uChromaTolerance, uChromaTolerance + max(uChromaSoftness, 0.001), distanceToKey);
+  }
+
+  if (uKeyMode == 2) {
+    float luma = dot(color, vec3(0.299, 0.587, 0.114));
+    float matte = smoothstep(uLumaThreshold, uLumaThreshold + max(uLumaSoftness, 0.001), luma);
+    return uLumaInvert ? 1.0 - matte : matte;
+  }
+
+  return 1.0;
+}
+
+// Pull the key hue out of edges and reflections, keeping luma
+vec3 suppressSpill(vec3 color) {
+  if (uKeyMode != 1 || uChromaSpill <= 0.0) {
+    return color;
+  }
+
+  vec2 keyCbCr = toCbCr(uKeyColor);
+  if (length(keyCbCr) < 0.001) {
+    return color; // Gray key has no hue to remove
+  }
+
+  vec2 keyDirection = normalize(keyCbCr);
+  vec2 cbcr = toCbCr(color);
+  float spill = max(dot(cbcr, keyDirection), 0.0);
+  cbcr -= keyDirection * spill * uChromaSpill;
+
+  return fromYCbCr(dot(color, vec3(0.299, 0.587, 0.114)), cbcr);
+}
+
+vec3 colorCorrect(vec3 color) {
+  color = hueShift(color, uHueShift);
+
+  // Saturation (-1 inverts chroma, 0 = grayscale, 2 = super saturated)
+  float luma = dot(color, vec3(0.299, 0.587, 0.114));
+  color = mix(vec3(luma), color, uSaturation);
+
+  // Contrast around mid-gray, then brightness offset
+  color = (color - 0.5) * uContrast + 0.5;
+  color += uBrightness;
+
+  return clamp(color, 0.0, 1.0);
+}
+
+void main() {
+  if (!uHasTexture) {
+    gl_FragColor = vec4(vec3(1.0), uOpacity);
+    return;
+  }
+
+  vec2 uv = kaleidoscope(vUv, floor(uKaleidoscope));
+  vec3 color = sampleWithAberration(uv);
+
+  // Key on the source colors, before color correction shifts them
+  float matte = keyMatte(color);
+
+  // Keyed-out pixels must not write depth, or they would hide particles behind the plane
+  if (matte <= 0.001) {
+    discard;
+  }
+
+  color = suppressSpill(color);
+
+  gl_FragColor = vec4(colorCorrect(color), uOpacity * matte);
+}
@@ -0,0 +1,14 @@
+// Video Plane Vertex Shader
+varying vec2 vUv;
+
+uniform float uScale;
+
+void main() {
+  vUv = uv;
+
+  // Video scale multiplies the plane size
+  vec3 pos = position;
+  pos.xy *= uScale;
+
+  gl_Position = projectionMatrix * modelViewMatrix * vec4(pos, 1.0);
+}
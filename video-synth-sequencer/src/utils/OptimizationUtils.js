@@ -110,7 +110,7 @@ export class OptimizationUtils {
    * @param {object} stats - Performance statistics
    * @returns {string[]} - Array of optimization suggestions
    */
-  static analyzePer formance(stats) {
+  static analyzePerformance(stats) {
     const suggestions = [];
 
     if (stats.fps < 55) {
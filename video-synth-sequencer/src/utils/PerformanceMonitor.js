@@ -19,9 +19,18 @@ export class PerformanceMonitor {
       drawCalls: 0,
       triangles: 0,
       geometries: 0,
-      textures: 0
+      textures: 0,
+      videoFps: 0,
+      videoMediaTime: 0,
+      videoPresentedFrames: 0,
+      videoDroppedFrames: 0,
+      videoMissedFrames: 0
     };
 
+    // Frame counters of the on-screen video texture (VideoFrameTexture.frameStats)
+    this.videoFrameStats = null;
+    this.lastVideoUploads = null;
+
     this.callbacks = new Set();
     this.isRunning = false;
   }
@@ -80,11 +89,50 @@ export class PerformanceMonitor {
         this.stats.textures = renderer.info.memory.textures;
       }
 
+      this.updateVideoStats(deltaTime);
+
       // Notify callbacks
       this.notifyCallbacks();
     }
   }
 
+  /**
+   * Set the frame counters of the video currently on screen
+   * @param {object|null} frameStats - VideoFrameTexture.frameStats
+   */
+  setVideoFrameStats(frameStats) {
+    if (frameStats !== this.videoFrameStats) {
+      // Counters restart with each clip
+      this.lastVideoUploads = null;
+    }
+
+    this.videoFrameStats = frameStats;
+  }
+
+  /**
+   * Fold the video frame counters into stats
+   * @param {number} deltaTime - ms since the last stats update
+   */
+  updateVideoStats(deltaTime) {
+    const frameStats = this.videoFrameStats;
+
+    if (!frameStats) {
+      this.stats.videoFps = 0;
+      return;
+    }
+
+    // Uploaded frames per second (0 while paused)
+    if (this.lastVideoUploads !== null) {
+      this.stats.videoFps = Math.round((frameStats.uploads - this.lastVideoUploads) * 1000 / deltaTime);
+    }
+    this.lastVideoUploads = frameStats.uploads;
+
+    this.stats.videoMediaTime = frameStats.mediaTime;
+    this.stats.videoPresentedFrames = frameStats.presentedFrames;
+    this.stats.videoDroppedFrames = frameStats.droppedFrames;
+    this.stats.videoMissedFrames = frameStats.missedFrames;
+  }
+
   /**
    * Get average frame time
    * @returns {number}
@@ -159,7 +207,8 @@ export class PerformanceMonitor {
   getFormattedStats() {
     return `FPS: ${this.stats.fps} | Frame: ${this.stats.frameTime}ms | ` +
            `Draw Calls: ${this.stats.drawCalls} | Triangles: ${this.stats.triangles.toLocaleString()} | ` +
-           `Memory: ${this.stats.memory}MB`;
+           `Memory: ${this.stats.memory}MB | Video: ${this.stats.videoFps}fps, ` +
+           `${this.stats.videoDroppedFrames} dropped`;
   }
 
   /**
@@ -174,6 +223,9 @@ export class PerformanceMonitor {
     console.log(`Triangles: ${this.stats.triangles.toLocaleString()}`);
     console.log(`Geometries: ${this.stats.geometries}`);
     console.log(`Textures: ${this.stats.textures}`);
+    console.log(`Video: ${this.stats.videoFps}fps @ ${this.stats.videoMediaTime.toFixed(3)}s`);
+    console.log(`Video Frames: ${this.stats.videoPresentedFrames} presented, ` +
+                `${this.stats.videoDroppedFrames} dropped, ${this.stats.videoMissedFrames} missed`);
     console.log(`Grade: ${this.getPerformanceGrade()}`);
     console.log('========================');
   }
@@ -186,6 +238,7 @@ export class PerformanceMonitor {
     this.frameCount = 0;
     this.lastTime = performance.now();
     this.frameTimings = [];
+    this.lastVideoUploads = null;
     this.stats = {
       fps: 0,
       frameTime: 0,
@@ -193,7 +246,12 @@ export class PerformanceMonitor {
       drawCalls: 0,
       triangles: 0,
       geometries: 0,
-      textures: 0
+      textures: 0,
+      videoFps: 0,
+      videoMediaTime: 0,
+      videoPresentedFrames: 0,
+      videoDroppedFrames: 0,
+      videoMissedFrames: 0
     };
   }
 }
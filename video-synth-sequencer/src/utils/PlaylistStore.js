@@ -0,0 +1,180 @@
+/**
+ * PlaylistStore.js
+ * Persist imported media files and playlist order to IndexedDB
+ */
+
+export class PlaylistStore {
+  constructor() {
+    this.dbName = 'video-synth-sequencer';
+    this.dbVersion = 1;
+    this.clipStore = 'clips';
+    this.playlistStore = 'playlist';
+    this.playlistKey = 'current';
+    this.db = null;
+  }
+
+  /**
+   * Open (and create if needed) the database
+   * @returns {Promise<IDBDatabase|null>}
+   */
+  async open() {
+    if (this.db) return this.db;
+
+    if (!window.indexedDB) {
+      console.warn('IndexedDB not supported, playlist will not persist');
+      return null;
+    }
+
+    try {
+      this.db = await new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.dbName, this.dbVersion);
+
+        request.onupgradeneeded = () => {
+          const db = request.result;
+
+          if (!db.objectStoreNames.contains(this.clipStore)) {
+            db.createObjectStore(this.clipStore, { keyPath: 'id' });
+          }
+
+          if (!db.objectStoreNames.contains(this.playlistStore)) {
+            db.createObjectStore(this.playlistStore);
+          }
+        };
+
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+
+      // Ask the browser not to evict our video files under storage pressure
+      if (navigator.storage && navigator.storage.persist) {
+        navigator.storage.persist().catch(() => {});
+      }
+
+      return this.db;
+    } catch (error) {
+      console.error('Failed to open playlist database:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Run a request against an object store
+   * @param {string} storeName
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {Function} operation - Receives the store, returns an IDBRequest
+   * @returns {Promise<*>}
+   */
+  async run(storeName, mode, operation) {
+    const db = await this.open();
+    if (!db) return null;
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(storeName, mode);
+      const request = operation(transaction.objectStore(storeName));
+
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * Store a clip's source file(s) (or live device settings)
+   * @param {object} clip - { id, type, name, file, files, source }
+   * @returns {Promise<boolean>}
+   */
+  async saveClip(clip) {
+    try {
+      await this.run(this.clipStore, 'readwrite', store => store.put({
+        id: clip.id,
+        type: clip.type,
+        name: clip.name,
+        file: clip.file,
+        files: clip.files || null,
+        source: clip.source || null
+      }));
+      return true;
+    } catch (error) {
+      console.error(`Failed to store clip "${clip.name}":`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Remove a clip's source file
+   * @param {string} id
+   * @returns {Promise<boolean>}
+   */
+  async deleteClip(id) {
+    try {
+      await this.run(this.clipStore, 'readwrite', store => store.delete(id));
+      return true;
+    } catch (error) {
+      console.error(`Failed to delete clip ${id}:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Save playlist order, current index and per-clip settings
+   * @param {object} videoState - From VideoManager.getState()
+   * @returns {Promise<boolean>}
+   */
+  async savePlaylist(videoState) {
+    try {
+      const { currentVideo, ...playlist } = videoState;
+      await this.run(this.playlistStore, 'readwrite', store => store.put(playlist, this.playlistKey));
+      return true;
+    } catch (error) {
+      console.error('Failed to save playlist:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Load saved playlist with its files, in playlist order
+   * @returns {Promise<object|null>} - { state, clips: [{ id, type, name, file, files, source, settings }] }
+   */
+  async loadPlaylist() {
+    try {
+      const state = await this.run(this.playlistStore, 'readonly', store => store.get(this.playlistKey));
+
+      if (!state || !Array.isArray(state.clips)) {
+        console.log('No saved playlist found');
+        return null;
+      }
+
+      const stored = await this.run(this.clipStore, 'readonly', store => store.getAll());
+      const files = new Map((stored || []).map(clip => [clip.id, clip]));
+
+      const clips = state.clips
+        .filter(settings => files.has(settings.id))
+        .map(settings => ({ ...files.get(settings.id), settings }));
+
+      if (clips.length < state.clips.length) {
+        console.warn(`${state.clips.length - clips.length} clip(s) missing from playlist storage`);
+      }
+
+      return { state, clips };
+    } catch (error) {
+      console.error('Failed to load playlist:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Remove all stored clips and the playlist
+   * @returns {Promise<boolean>}
+   */
+  async clear() {
+    try {
+      await this.run(this.clipStore, 'readwrite', store => store.clear());
+      await this.run(this.playlistStore, 'readwrite', store => store.clear());
+      console.log('Stored playlist cleared');
+      return true;
+    } catch (error) {
+      console.error('Failed to clear stored playlist:', error);
+      return false;
+    }
+  }
+}
@@ -0,0 +1,266 @@
+/**
+ * ImageSource.js
+ * Still image, animated GIF and image-sequence playback on a canvas,
+ * exposing the subset of the HTMLVideoElement API that VideoManager uses
+ */
+
+export class ImageSource extends EventTarget {
+  /**
+   * @param {object[]} frames - [{ image: ImageBitmap, duration: seconds }]
+   */
+  constructor(frames) {
+    super();
+
+    if (frames.length === 0) {
+      throw new Error('Image source needs at least one frame');
+    }
+
+    this.isImageSource = true;
+    this.frames = frames;
+    this.ownsFrames = true;
+
+    // Frame start times for seeking
+    this.frameTimes = [];
+    let time = 0;
+    for (const frame of frames) {
+      this.frameTimes.push(time);
+      time += frame.duration;
+    }
+    this.duration = time;
+
+    // Drawing surface used as the texture source
+    this.canvas = document.createElement('canvas');
+    this.canvas.width = frames[0].image.width;
+    this.canvas.height = frames[0].image.height;
+    this.context = this.canvas.getContext('2d');
+
+    // Media element state
+    this.time = 0;
+    this.paused = true;
+    this.ended = false;
+    this.playbackRate = 1.0;
+
+    // Frame tracking
+    this.frameIndex = -1;
+    this.hasNewFrame = false;
+
+    this.drawFrame(0);
+  }
+
+  /**
+   * Create a still image held for a fixed duration
+   * @param {File} file
+   * @param {number} holdDuration - Seconds
+   * @returns {Promise<ImageSource>}
+   */
+  static async fromImage(file, holdDuration) {
+    const image = await createImageBitmap(file);
+    return new ImageSource([{ image, duration: holdDuration }]);
+  }
+
+  /**
+   * Create an animated GIF source (falls back to a still without ImageDecoder)
+   * @param {File} file
+   * @param {number} holdDuration - Used when the GIF is shown as a still
+   * @returns {Promise<ImageSource>}
+   */
+  static async fromGif(file, holdDuration) {
+    if (!('ImageDecoder' in window)) {
+      console.warn('ImageDecoder not supported, showing GIF as a still image');
+      return ImageSource.fromImage(file, holdDuration);
+    }
+
+    const decoder = new ImageDecoder({ data: await file.arrayBuffer(), type: file.type });
+
+    try {
+      await decoder.tracks.ready;
+      const frameCount = decoder.tracks.selectedTrack.frameCount;
+
+      if (frameCount <= 1) {
+        return ImageSource.fromImage(file, holdDuration);
+      }
+
+      const frames = [];
+      for (let frameIndex = 0; frameIndex < frameCount; frameIndex++) {
+        const { image: videoFrame } = await decoder.decode({ frameIndex });
+
+        // VideoFrame duration is in microseconds; browsers treat 0 as 100ms
+        const duration = videoFrame.duration ? videoFrame.duration / 1e6 : 0.1;
+        const image = await createImageBitmap(videoFrame);
+        videoFrame.close();
+
+        frames.push({ image, duration });
+      }
+
+      return new ImageSource(frames);
+    } finally {
+      decoder.close();
+    }
+  }
+
+  /**
+   * Create an image sequence played at a fixed frame rate
+   * @param {File[]} files - Already in frame order
+   * @param {number} frameRate - Frames per second
+   * @returns {Promise<ImageSource>}
+   */
+  static async fromSequence(files, frameRate) {
+    const frameDuration = 1 / frameRate;
+    const frames = [];
+
+    for (const file of files) {
+      frames.push({ image: await createImageBitmap(file), duration: frameDuration });
+    }
+
+    return new ImageSource(frames);
+  }
+
+  /**
+   * Create an independent player over the same decoded frames
+   * @returns {ImageSource}
+   */
+  clone() {
+    const copy = new ImageSource(this.frames);
+    copy.ownsFrames = false;
+    return copy;
+  }
+
+  get currentTime() {
+    return this.time;
+  }
+
+  set currentTime(value) {
+    this.time = Math.max(0, Math.min(value, this.duration));
+    this.ended = this.time >= this.duration;
+    this.drawFrame(this.getFrameIndexAt(this.time));
+  }
+
+  get videoWidth() {
+    return this.canvas.width;
+  }
+
+  get videoHeight() {
+    return this.canvas.height;
+  }
+
+  /**
+   * Start playback
+   * @returns {Promise<void>}
+   */
+  play() {
+    if (this.ended) {
+      this.currentTime = 0;
+    }
+
+    this.paused = false;
+    return Promise.resolve();
+  }
+
+  /**
+   * Pause playback
+   */
+  pause() {
+    this.paused = true;
+  }
+
+  /**
+   * No-op: frames are decoded up front
+   */
+  load() {}
+
+  /**
+   * Change the hold duration of a single-frame source
+   * @param {number} seconds
+   */
+  setHoldDuration(seconds) {
+    if (this.frames.length !== 1) return;
+
+    this.frames[0].duration = seconds;
+    this.duration = seconds;
+    this.currentTime = Math.min(this.time, seconds);
+  }
+
+  /**
+   * Advance playback (call every frame)
+   * @param {number} deltaTime - Seconds
+   */
+  update(deltaTime) {
+    if (this.paused) return;
+
+    this.time += deltaTime * this.playbackRate;
+
+    if (this.time >= this.duration) {
+      this.time = this.duration;
+      this.paused = true;
+      this.ended = true;
+      this.dispatchEvent(new Event('ended'));
+      return;
+    }
+
+    this.drawFrame(this.getFrameIndexAt(this.time));
+  }
+
+  /**
+   * Find the frame showing at a given time
+   * @param {number} time
+   * @returns {number}
+   */
+  getFrameIndexAt(time) {
+    let low = 0;
+    let high = this.frameTimes.length - 1;
+
+    while (low < high) {
+      const mid = Math.ceil((low + high) / 2);
+      if (this.frameTimes[mid] <= time) {
+        low = mid;
+      } else {
+        high = mid - 1;
+      }
+    }
+
+    return low;
+  }
+
+  /**
+   * Draw a frame to the canvas if it is not already showing
+   * @param {number} index
+   */
+  drawFrame(index) {
+    if (index === this.frameIndex) return;
+
+    const { image } = this.frames[index];
+    this.context.clearRect(0, 0, this.canvas.width, this.canvas.height);
+    this.context.drawImage(image, 0, 0, this.canvas.width, this.canvas.height);
+
+    this.frameIndex = index;
+    this.hasNewFrame = true;
+  }
+
+  /**
+   * Consume the new-frame flag (for texture uploads)
+   * @returns {boolean}
+   */
+  consumeNewFrame() {
+    const hasNewFrame = this.hasNewFrame;
+    this.hasNewFrame = false;
+    return hasNewFrame;
+  }
+
+  /**
+   * Release decoded frames
+   */
+  dispose() {
+    this.pause();
+
+    // Clones leave the shared frames to their original
+    if (this.ownsFrames) {
+      for (const frame of this.frames) {
+        if (frame.image.close) {
+          frame.image.close();
+        }
+      }
+    }
+
+    this.frames = [];
+  }
+}
@@ -0,0 +1,277 @@
+/**
+ * LayerStack.js
+ * Overlay video layers composited above the playlist deck
+ * Each layer plays its own copy of a playlist clip, looping its in/out region
+ */
+
+export class LayerStack {
+  /**
+   * @param {VideoManager} videoManager - Playlist the layers pick their clips from
+   * @param {number} layerCount
+   */
+  constructor(videoManager, layerCount = 4) {
+    this.videoManager = videoManager;
+
+    // Compositing (index matches uLayerBlendMode in video.frag)
+    this.blendModes = ['normal', 'add', 'screen', 'multiply', 'difference', 'overlay'];
+
+    // Transform limits
+    this.minScale = 0.1;
+    this.maxScale = 4.0;
+    this.maxOffset = 1.0; // in plane widths/heights
+
+    this.layers = [];
+    for (let index = 0; index < layerCount; index++) {
+      this.layers.push(this.createLayer(index));
+    }
+  }
+
+  /**
+   * Create an empty layer
+   * @param {number} index
+   * @returns {object}
+   */
+  createLayer(index) {
+    return {
+      index,
+      clipId: null,
+      entry: null, // playlist entry the layer copies
+      element: null, // the layer's own media element / ImageSource
+      enabled: true,
+      opacity: 1.0,
+      blendMode: 'screen',
+      offsetX: 0,
+      offsetY: 0,
+      scale: 1.0,
+      rotation: 0 // degrees
+    };
+  }
+
+  /**
+   * Get a layer by index
+   * @param {number} index
+   * @returns {object|null}
+   */
+  getLayer(index) {
+    return this.layers[index] || null;
+  }
+
+  /**
+   * Put a playlist clip on a layer (null clears it)
+   * @param {number} index
+   * @param {string|null} clipId
+   * @returns {boolean}
+   */
+  setLayerClip(index, clipId) {
+    const layer = this.getLayer(index);
+    if (!layer) return false;
+
+    const entry = clipId ? this.videoManager.videos.find(v => v.id === clipId) : null;
+
+    if (clipId && !entry) {
+      console.warn(`Layer ${index + 1}: clip ${clipId} not in playlist`);
+      return false;
+    }
+
+    this.releaseLayer(layer);
+
+    if (!entry) return true;
+
+    try {
+      layer.clipId = entry.id;
+      layer.entry = entry;
+      layer.element = this.createLayerElement(entry);
+      layer.element.currentTime = entry.inPoint;
+      layer.element.play().catch(error => console.warn(`Layer ${index + 1} playback failed:`, error));
+
+      console.log(`Layer ${index + 1}: ${entry.name}`);
+      return true;
+    } catch (error) {
+      console.error(`Failed to load clip on layer ${index + 1}:`, error);
+      this.releaseLayer(layer);
+      return false;
+    }
+  }
+
+  /**
+   * Create a private player for a playlist entry so the deck is never disturbed
+   * @param {object} entry
+   * @returns {HTMLVideoElement|ImageSource}
+   */
+  createLayerElement(entry) {
+    if (entry.element.isImageSource) {
+      return entry.element.clone();
+    }
+
+    const video = document.createElement('video');
+    video.playsinline = true;
+    video.muted = true; // Only the deck is heard
+    video.loop = false; // Region looping is handled in update()
+
+    if (entry.stream) {
+      video.srcObject = entry.stream;
+    } else {
+      video.crossOrigin = 'anonymous';
+      video.src = entry.url;
+    }
+
+    return video;
+  }
+
+  /**
+   * Stop a layer's player and clear its clip
+   * @param {object} layer
+   */
+  releaseLayer(layer) {
+    if (layer.element) {
+      layer.element.pause();
+
+      if (layer.element.isImageSource) {
+        layer.element.dispose();
+      } else {
+        // Streams belong to the playlist entry, so only detach
+        layer.element.srcObject = null;
+        layer.element.removeAttribute('src');
+        layer.element.load();
+      }
+    }
+
+    layer.clipId = null;
+    layer.entry = null;
+    layer.element = null;
+  }
+
+  /**
+   * Set a layer property
+   * @param {number} index
+   * @param {string} property - enabled, opacity, blendMode, offsetX, offsetY, scale, rotation
+   * @param {*} value
+   * @returns {boolean}
+   */
+  setLayerProperty(index, property, value) {
+    const layer = this.getLayer(index);
+    if (!layer) return false;
+
+    switch (property) {
+      case 'enabled':
+        layer.enabled = Boolean(value);
+        break;
+      case 'opacity':
+        layer.opacity = Math.max(0, Math.min(1, value));
+        break;
+      case 'blendMode':
+        if (!this.blendModes.includes(value)) {
+          console.warn(`Unknown blend mode: ${value}`);
+          return false;
+        }
+        layer.blendMode = value;
+        break;
+      case 'offsetX':
+      case 'offsetY':
+        layer[property] = Math.max(-this.maxOffset, Math.min(this.maxOffset, value));
+        break;
+      case 'scale':
+        layer.scale = Math.max(this.minScale, Math.min(this.maxScale, value));
+        break;
+      case 'rotation':
+        layer.rotation = ((value + 180) % 360 + 360) % 360 - 180;
+        break;
+      default:
+        console.warn(`Unknown layer property: ${property}`);
+        return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Check if a layer contributes to the composite
+   * @param {object} layer
+   * @returns {boolean}
+   */
+  isLayerVisible(layer) {
+    return Boolean(layer.element) && layer.enabled && layer.opacity > 0;
+  }
+
+  /**
+   * Advance image layers and loop clip regions (call every frame)
+   * @param {number} deltaTime - Seconds
+   */
+  update(deltaTime) {
+    for (const layer of this.layers) {
+      const { element, entry } = layer;
+      if (!element) continue;
+
+      if (element.isImageSource) {
+        element.update(deltaTime);
+      }
+
+      // Live feeds have no region to loop
+      if (!this.videoManager.isSeekable(entry)) continue;
+
+      if (element.ended || element.currentTime >= entry.outPoint) {
+        element.currentTime = entry.inPoint;
+        element.play().catch(error => console.warn(`Layer ${layer.index + 1} playback failed:`, error));
+      }
+    }
+  }
+
+  /**
+   * Clear layers whose clip has left the playlist
+   */
+  pruneClips() {
+    const ids = new Set(this.videoManager.videos.map(v => v.id));
+
+    for (const layer of this.layers) {
+      if (layer.clipId && !ids.has(layer.clipId)) {
+        this.releaseLayer(layer);
+      }
+    }
+  }
+
+  /**
+   * Get serializable layer settings
+   * @returns {object[]}
+   */
+  getState() {
+    return this.layers.map(layer => ({
+      clipId: layer.clipId,
+      enabled: layer.enabled,
+      opacity: layer.opacity,
+      blendMode: layer.blendMode,
+      offsetX: layer.offsetX,
+      offsetY: layer.offsetY,
+      scale: layer.scale,
+      rotation: layer.rotation
+    }));
+  }
+
+  /**
+   * Restore layer settings (clips must already be in the playlist)
+   * @param {object[]} state - From getState()
+   */
+  restoreState(state) {
+    if (!Array.isArray(state)) return;
+
+    state.forEach((saved, index) => {
+      if (!this.getLayer(index)) return;
+
+      ['enabled', 'opacity', 'blendMode', 'offsetX', 'offsetY', 'scale', 'rotation'].forEach(property => {
+        if (saved[property] !== undefined) {
+          this.setLayerProperty(index, property, saved[property]);
+        }
+      });
+
+      if (saved.clipId !== this.layers[index].clipId) {
+        this.setLayerClip(index, saved.clipId);
+      }
+    });
+  }
+
+  /**
+   * Release all layer players
+   */
+  dispose() {
+    this.layers.forEach(layer => this.releaseLayer(layer));
+  }
+}
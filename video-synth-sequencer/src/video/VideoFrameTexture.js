@@ -0,0 +1,120 @@
+/**
+ * VideoFrameTexture.js
+ * Video texture that uploads only when the video presents a new frame
+ * Uses requestVideoFrameCallback, falling back to watching currentTime
+ */
+
+import * as THREE from 'three';
+
+export class VideoFrameTexture extends THREE.Texture {
+  /**
+   * @param {HTMLVideoElement} video
+   */
+  constructor(video) {
+    super(video);
+
+    // Uses the renderer's video upload path (per-frame update(), no immutable storage)
+    this.isVideoTexture = true;
+
+    this.minFilter = THREE.LinearFilter;
+    this.magFilter = THREE.LinearFilter;
+    this.generateMipmaps = false;
+
+    // Per-frame counters for PerformanceMonitor
+    this.frameStats = {
+      mediaTime: 0, // seconds, presentation timestamp of the last uploaded frame
+      presentedFrames: 0, // frames the browser handed to the compositor
+      missedFrames: 0, // presented frames that were never uploaded
+      droppedFrames: 0, // frames the decoder dropped
+      uploads: 0,
+      usesFrameCallback: 'requestVideoFrameCallback' in video
+    };
+
+    this.lastPresentedFrames = null;
+    this.callbackHandle = null;
+
+    if (this.frameStats.usesFrameCallback) {
+      this.onVideoFrame = this.onVideoFrame.bind(this);
+      this.callbackHandle = video.requestVideoFrameCallback(this.onVideoFrame);
+
+      // Paused seeks (reverse playback, cues) and the first frame are not always reported as presented
+      this.onFrameEvent = this.onFrameEvent.bind(this);
+      video.addEventListener('seeked', this.onFrameEvent);
+      video.addEventListener('loadeddata', this.onFrameEvent);
+    }
+  }
+
+  /**
+   * Upload after a seek or first load while paused
+   */
+  onFrameEvent() {
+    this.frameStats.mediaTime = this.image.currentTime;
+    this.markFrame();
+  }
+
+  /**
+   * requestVideoFrameCallback handler
+   * @param {DOMHighResTimeStamp} now
+   * @param {object} metadata - VideoFrameCallbackMetadata
+   */
+  onVideoFrame(now, metadata) {
+    const stats = this.frameStats;
+
+    // Frames presented between two callbacks were never shown to the renderer
+    if (this.lastPresentedFrames !== null && metadata.presentedFrames > this.lastPresentedFrames + 1) {
+      stats.missedFrames += metadata.presentedFrames - this.lastPresentedFrames - 1;
+    }
+    this.lastPresentedFrames = metadata.presentedFrames;
+
+    stats.mediaTime = metadata.mediaTime;
+    stats.presentedFrames = metadata.presentedFrames;
+    this.markFrame();
+
+    this.callbackHandle = this.image.requestVideoFrameCallback(this.onVideoFrame);
+  }
+
+  /**
+   * Fallback for browsers without requestVideoFrameCallback (called by the renderer each frame)
+   */
+  update() {
+    if (this.frameStats.usesFrameCallback) return;
+
+    const video = this.image;
+
+    // A moved playhead is the best sign of a new frame we have here
+    if (video.readyState >= video.HAVE_CURRENT_DATA && video.currentTime !== this.frameStats.mediaTime) {
+      this.frameStats.mediaTime = video.currentTime;
+      this.frameStats.presentedFrames++;
+      this.markFrame();
+    }
+  }
+
+  /**
+   * Flag a new frame for upload
+   */
+  markFrame() {
+    this.needsUpdate = true;
+    this.frameStats.uploads++;
+
+    if (this.image.getVideoPlaybackQuality) {
+      this.frameStats.droppedFrames = this.image.getVideoPlaybackQuality().droppedVideoFrames;
+    }
+  }
+
+  /**
+   * Stop listening for frames and free the GPU texture
+   */
+  dispose() {
+    if (this.callbackHandle !== null && this.image.cancelVideoFrameCallback) {
+      this.image.cancelVideoFrameCallback(this.callbackHandle);
+      this.callbackHandle = null;
+    }
+
+    if (this.onFrameEvent) {
+      this.image.removeEventListener('seeked', this.onFrameEvent);
+      this.image.removeEventListener('loadeddata', this.onFrameEvent);
+    }
+
+    super.dispose();
+  }
+}
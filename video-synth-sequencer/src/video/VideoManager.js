@@ -3,6 +3,8 @@
  * Video loading, sequencing, and seamless playlist looping
  */
 
+import { ImageSource } from './ImageSource.js';
+
 export class VideoManager {
   constructor() {
     this.videos = [];
@@ -10,6 +12,44 @@ export class VideoManager {
     this.isPlaying = false;
     this.playbackRate = 1.0;
 
+    // A/B deck transitions: the outgoing clip keeps playing while it is blended out
+    this.transitionTypes = ['cut', 'crossfade', 'lumaWipe', 'dissolveToBlack', 'zoomBlur'];
+    this.transitionType = 'crossfade';
+    this.transitionDuration = 1.0; // seconds
+    this.activeTransition = null;
+
+    // Beat-synced advance: switch after N beats/bars, quantize manual switches to the next beat
+    this.advanceModes = ['clipEnd', 'beats', 'bars'];
+    this.advanceMode = 'clipEnd';
+    this.advanceEvery = 4; // N beats or bars
+    this.beatsPerBar = 4;
+    this.quantizeManual = true;
+    this.beatCount = 0;
+    this.lastBeatTime = 0;
+    this.beatTimeout = 2000; // ms without beats before falling back to free switching
+    this.pendingSwitchIndex = null;
+
+    // Playback order for automatic (and Next/Previous) advancing
+    this.orderModes = ['sequential', 'shuffle', 'weighted', 'stay'];
+    this.orderMode = 'sequential';
+    this.maxClipWeight = 10;
+    this.shuffleBag = []; // clip IDs not yet played this round
+    this.queuedNext = null; // { fromId, toId } so preload and auto-mix agree with the switch
+    this.history = []; // IDs of clips played before, for Previous in random modes
+    this.maxHistory = 50;
+    this.returningToId = null;
+
+    // Hot cue slots per clip
+    this.maxCues = 8;
+
+    // Playlist poster thumbnails
+    this.thumbnailWidth = 160;
+    this.thumbnailTimeout = 3000; // ms to wait for a poster frame
+
+    // Playback direction (clips can override; a negative playback rate flips it)
+    this.playDirections = ['forward', 'reverse', 'pingpong'];
+    this.playDirection = 'forward';
+
     // Callbacks
     this.onVideoChangeCallback = null;
     this.onVideoEndedCallback = null;
@@ -18,14 +58,29 @@ export class VideoManager {
 
     // Supported formats
     this.supportedFormats = ['video/mp4', 'video/webm', 'video/quicktime'];
+    this.supportedImageFormats = ['image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+    this.sequenceFormats = ['image/png', 'image/jpeg'];
+
+    // Image defaults
+    this.imageHoldDuration = 5.0; // seconds a still stays on screen
+    this.sequenceFrameRate = 24; // fps for numbered image sequences
+
+    // Frame clock for image sources
+    this.lastUpdateTime = performance.now();
   }
 
   /**
    * Add video from file
    * @param {File} file
+   * @param {object} [options]
+   * @param {string} [options.id] - Reuse an ID (when restoring a saved playlist)
+   * @param {object} [options.settings] - Per-clip settings, see applyClipSettings()
+   * @param {boolean} [options.autoplay=true] - Start playing if this is the first video
    * @returns {Promise<object>}
    */
-  async addVideo(file) {
+  async addVideo(file, options = {}) {
+    const { id, settings, autoplay = true } = options;
+
     try {
       // Check if format is supported
       if (!this.isSupportedFormat(file.type)) {
@@ -51,8 +106,9 @@ export class VideoManager {
       });
 
       // Create video entry
-      const videoEntry = {
-        id: this.generateId(),
+      const videoEntry = this.createEntry({
+        id,
+        type: 'video',
         name: file.name,
         element: video,
         url,
@@ -60,35 +116,197 @@ export class VideoManager {
         width: video.videoWidth,
         height: video.videoHeight,
         file
-      };
+      });
 
       // Add ended event listener
-      video.addEventListener('ended', () => this.handleVideoEnded());
-
-      // Add to list (maintaining upload order)
-      this.videos.push(videoEntry);
+      video.addEventListener('ended', () => this.handleRegionEnd(videoEntry));
+      video.addEventListener('seeked', () => { videoEntry.seekPending = false; });
 
       console.log(`Video added: ${file.name} (${video.videoWidth}x${video.videoHeight})`);
 
-      // If this is the first video, start playing
-      if (this.videos.length === 1) {
-        await this.play();
-      } else {
-        // Preload if next in sequence
-        const nextIndex = (this.currentIndex + 1) % this.videos.length;
-        if (this.videos.indexOf(videoEntry) === nextIndex) {
-          video.load();
+      return await this.registerEntry(videoEntry, { settings, autoplay });
+    } catch (error) {
+      console.error('Failed to add video:', error);
+
+      if (this.onErrorCallback) {
+        this.onErrorCallback(error);
+      }
+
+      throw error;
+    }
+  }
+
+  /**
+   * Add a live camera feed as a playlist entry
+   * @param {object} [options]
+   * @param {string} [options.deviceId] - Camera to open (default camera if omitted)
+   * @param {number} [options.width=1280] - Requested width
+   * @param {number} [options.height=720] - Requested height
+   * @param {string} [options.id] - Reuse an ID (when restoring a saved playlist)
+   * @param {object} [options.settings] - Per-clip settings, see applyClipSettings()
+   * @param {boolean} [options.autoplay=true] - Start playing if this is the first entry
+   * @returns {Promise<object>}
+   */
+  async addCamera(options = {}) {
+    const { deviceId, width = 1280, height = 720, id, settings, autoplay = true } = options;
+
+    try {
+      const stream = await navigator.mediaDevices.getUserMedia({
+        video: {
+          deviceId: deviceId ? { exact: deviceId } : undefined,
+          width: { ideal: width },
+          height: { ideal: height }
+        },
+        audio: false
+      });
+
+      const video = document.createElement('video');
+      video.playsinline = true;
+      video.muted = true;
+      video.srcObject = stream;
+
+      await new Promise((resolve, reject) => {
+        video.addEventListener('loadedmetadata', resolve);
+        video.addEventListener('error', reject);
+      });
+
+      const track = stream.getVideoTracks()[0];
+      const trackSettings = track.getSettings();
+
+      // Live feeds have no timeline: they hold until switched away from
+      const videoEntry = this.createEntry({
+        id,
+        type: 'camera',
+        name: track.label || 'Camera',
+        element: video,
+        stream,
+        source: {
+          deviceId: trackSettings.deviceId || deviceId || null,
+          width,
+          height
+        },
+        duration: Infinity,
+        width: video.videoWidth,
+        height: video.videoHeight
+      });
+
+      // Camera unplugged mid-set
+      track.addEventListener('ended', () => {
+        console.warn(`Camera disconnected: ${videoEntry.name}`);
+
+        if (this.onErrorCallback) {
+          this.onErrorCallback(new Error(`Camera disconnected: ${videoEntry.name}`));
         }
+      });
+
+      console.log(`Camera added: ${videoEntry.name} (${video.videoWidth}x${video.videoHeight})`);
+
+      return await this.registerEntry(videoEntry, { settings, autoplay });
+    } catch (error) {
+      console.error('Failed to add camera:', error);
+
+      if (this.onErrorCallback) {
+        this.onErrorCallback(error);
+      }
+
+      throw error;
+    }
+  }
+
+  /**
+   * Add a still image or animated GIF as a playlist entry
+   * @param {File} file
+   * @param {object} [options]
+   * @param {number} [options.holdDuration] - Seconds a still stays on screen
+   * @param {string} [options.id] - Reuse an ID (when restoring a saved playlist)
+   * @param {object} [options.settings] - Per-clip settings, see applyClipSettings()
+   * @param {boolean} [options.autoplay=true] - Start playing if this is the first entry
+   * @returns {Promise<object>}
+   */
+  async addImage(file, options = {}) {
+    const { holdDuration = this.imageHoldDuration, id, settings, autoplay = true } = options;
+
+    try {
+      if (!this.isSupportedImageFormat(file.type)) {
+        throw new Error(`Unsupported image format: ${file.type}`);
+      }
+
+      const source = file.type === 'image/gif'
+        ? await ImageSource.fromGif(file, holdDuration)
+        : await ImageSource.fromImage(file, holdDuration);
+
+      const isAnimated = source.frames.length > 1;
+
+      const videoEntry = this.createEntry({
+        id,
+        type: isAnimated ? 'gif' : 'image',
+        name: file.name,
+        element: source,
+        source: isAnimated ? null : { holdDuration },
+        duration: source.duration,
+        width: source.videoWidth,
+        height: source.videoHeight,
+        file
+      });
+
+      source.addEventListener('ended', () => this.handleRegionEnd(videoEntry));
+
+      console.log(`Image added: ${file.name} (${source.videoWidth}x${source.videoHeight}, ${source.frames.length} frames)`);
+
+      return await this.registerEntry(videoEntry, { settings, autoplay });
+    } catch (error) {
+      console.error('Failed to add image:', error);
+
+      if (this.onErrorCallback) {
+        this.onErrorCallback(error);
       }
 
-      // Notify callback
-      if (this.onVideoLoadedCallback) {
-        this.onVideoLoadedCallback(videoEntry);
+      throw error;
+    }
+  }
+
+  /**
+   * Add a numbered PNG/JPEG image sequence as a playlist entry
+   * @param {File[]} files - Sorted into frame order by their trailing number
+   * @param {object} [options]
+   * @param {number} [options.frameRate] - Frames per second
+   * @param {string} [options.id] - Reuse an ID (when restoring a saved playlist)
+   * @param {object} [options.settings] - Per-clip settings, see applyClipSettings()
+   * @param {boolean} [options.autoplay=true] - Start playing if this is the first entry
+   * @returns {Promise<object>}
+   */
+  async addImageSequence(files, options = {}) {
+    const { frameRate = this.sequenceFrameRate, id, settings, autoplay = true } = options;
+
+    try {
+      const frames = [...files].sort((a, b) => this.getFrameNumber(a.name) - this.getFrameNumber(b.name));
+
+      if (frames.some(file => !this.sequenceFormats.includes(file.type))) {
+        throw new Error('Image sequences must be PNG or JPEG');
       }
 
-      return videoEntry;
+      const source = await ImageSource.fromSequence(frames, frameRate);
+      const prefix = frames[0].name.replace(/\d+\.\w+$/, '');
+
+      const videoEntry = this.createEntry({
+        id,
+        type: 'sequence',
+        name: `${prefix}[${frames.length} frames]`,
+        element: source,
+        source: { frameRate },
+        duration: source.duration,
+        width: source.videoWidth,
+        height: source.videoHeight,
+        files: frames
+      });
+
+      source.addEventListener('ended', () => this.handleRegionEnd(videoEntry));
+
+      console.log(`Image sequence added: ${videoEntry.name} @ ${frameRate}fps`);
+
+      return await this.registerEntry(videoEntry, { settings, autoplay });
     } catch (error) {
-      console.error('Failed to add video:', error);
+      console.error('Failed to add image sequence:', error);
 
       if (this.onErrorCallback) {
         this.onErrorCallback(error);
@@ -98,6 +316,288 @@ export class VideoManager {
     }
   }
 
+  /**
+   * Split dropped images into numbered sequences and single images
+   * @param {File[]} files
+   * @returns {object} { sequences: File[][], singles: File[] }
+   */
+  groupImageSequences(files) {
+    const groups = new Map();
+    const singles = [];
+
+    for (const file of files) {
+      const match = this.sequenceFormats.includes(file.type) && file.name.match(/^(.*?)\d+\.(\w+)$/);
+
+      if (match) {
+        const key = `${match[1]}|${match[2].toLowerCase()}`;
+        if (!groups.has(key)) {
+          groups.set(key, []);
+        }
+        groups.get(key).push(file);
+      } else {
+        singles.push(file);
+      }
+    }
+
+    const sequences = [];
+    for (const group of groups.values()) {
+      // A lone numbered file is just an image
+      if (group.length > 1) {
+        sequences.push(group);
+      } else {
+        singles.push(group[0]);
+      }
+    }
+
+    return { sequences, singles };
+  }
+
+  /**
+   * Get trailing frame number from a file name
+   * @param {string} name
+   * @returns {number}
+   */
+  getFrameNumber(name) {
+    const match = name.match(/(\d+)\.\w+$/);
+    return match ? parseInt(match[1], 10) : 0;
+  }
+
+  /**
+   * Set how long a still image stays on screen
+   * @param {string} id
+   * @param {number} seconds - 0.5 to 600
+   * @returns {boolean}
+   */
+  setHoldDuration(id, seconds) {
+    const video = this.videos.find(v => v.id === id);
+    if (!video || video.type !== 'image') return false;
+
+    const holdDuration = Math.max(0.5, Math.min(600, seconds));
+    const wasFullClip = video.outPoint >= video.duration;
+
+    video.element.setHoldDuration(holdDuration);
+    video.duration = holdDuration;
+    video.source.holdDuration = holdDuration;
+
+    this.setClipRegion(id, {
+      inPoint: Math.min(video.inPoint, holdDuration),
+      outPoint: wasFullClip ? holdDuration : video.outPoint
+    });
+
+    return true;
+  }
+
+  /**
+   * List available cameras
+   * @returns {Promise<array>} [{ deviceId, label }]
+   */
+  async listCameras() {
+    if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) {
+      return [];
+    }
+
+    const devices = await navigator.mediaDevices.enumerateDevices();
+
+    return devices
+      .filter(device => device.kind === 'videoinput')
+      .map((device, index) => ({
+        deviceId: device.deviceId,
+        label: device.label || `Camera ${index + 1}`
+      }));
+  }
+
+  /**
+   * Build a playlist entry with default playback settings
+   * @param {object} fields - Source-specific fields (type, name, element, duration, ...)
+   * @returns {object}
+   */
+  createEntry(fields) {
+    return {
+      url: null,
+      file: null,
+      files: null,
+      thumbnail: null,
+      ...fields,
+      id: fields.id || this.generateId(),
+
+      // Playback region: play inPoint -> outPoint loopCount times (0 = hold forever)
+      inPoint: 0,
+      outPoint: fields.duration,
+      loopCount: 1,
+      loopsPlayed: 0,
+
+      // Hot cue times in seconds (null = empty slot)
+      cues: new Array(this.maxCues).fill(null),
+
+      // Relative chance of being picked in weighted order (0 = never)
+      weight: 1,
+
+      // Direction override (null = follow the global direction)
+      direction: null,
+      pingPongReversed: false, // on the return leg of a ping-pong
+      reversing: false, // playhead driven by update() instead of the element
+      playhead: 0,
+      seekPending: false // a reverse step's seek has not landed yet
+    };
+  }
+
+  /**
+   * Append an entry to the playlist and start/preload it
+   * @param {object} videoEntry
+   * @param {object} options - { settings, autoplay }
+   * @returns {Promise<object>}
+   */
+  async registerEntry(videoEntry, { settings, autoplay }) {
+    // Add to list (maintaining upload order)
+    this.videos.push(videoEntry);
+
+    // Clips added mid-round join the current shuffle round
+    if (this.shuffleBag.length > 0) {
+      this.shuffleBag.splice(Math.floor(Math.random() * (this.shuffleBag.length + 1)), 0, videoEntry.id);
+    }
+
+    if (settings) {
+      this.applyClipSettings(videoEntry.id, settings);
+    }
+
+    // If this is the first video, start playing
+    if (this.videos.length === 1 && autoplay) {
+      await this.play();
+    } else {
+      // Preload if next in sequence
+      if (this.videos.indexOf(videoEntry) === this.getNextIndex()) {
+        this.preloadEntry(videoEntry);
+      }
+    }
+
+    videoEntry.thumbnail = await this.createThumbnail(videoEntry);
+
+    // Notify callback
+    if (this.onVideoLoadedCallback) {
+      this.onVideoLoadedCallback(videoEntry);
+    }
+
+    return videoEntry;
+  }
+
+  /**
+   * Generate a poster thumbnail for the playlist
+   * @param {object} videoEntry
+   * @returns {Promise<string|null>} JPEG data URL
+   */
+  async createThumbnail(videoEntry) {
+    try {
+      if (videoEntry.element.isImageSource) {
+        return this.drawThumbnail(videoEntry.element.canvas, videoEntry.width, videoEntry.height);
+      }
+
+      if (videoEntry.type === 'camera') {
+        await this.waitForMedia(videoEntry.element, 'loadeddata', videoEntry.element.readyState >= 2);
+        return this.drawThumbnail(videoEntry.element, videoEntry.width, videoEntry.height);
+      }
+
+      // Seek a private element so the playing deck is never disturbed
+      const poster = document.createElement('video');
+      poster.muted = true;
+      poster.preload = 'auto';
+      poster.src = videoEntry.url;
+
+      try {
+        await this.waitForMedia(poster, 'loadedmetadata', false);
+        poster.currentTime = Math.min(1, videoEntry.duration / 2);
+        await this.waitForMedia(poster, 'seeked', false);
+        return this.drawThumbnail(poster, videoEntry.width, videoEntry.height);
+      } finally {
+        poster.removeAttribute('src');
+        poster.load();
+      }
+    } catch (error) {
+      console.warn(`No thumbnail for ${videoEntry.name}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Wait for a media event, giving up after thumbnailTimeout
+   * @param {HTMLMediaElement} element
+   * @param {string} eventName
+   * @param {boolean} isReady - Resolve immediately
+   * @returns {Promise<void>}
+   */
+  waitForMedia(element, eventName, isReady) {
+    if (isReady) return Promise.resolve();
+
+    return new Promise((resolve, reject) => {
+      const timeout = setTimeout(() => reject(new Error(`Timed out waiting for ${eventName}`)), this.thumbnailTimeout);
+
+      element.addEventListener(eventName, () => {
+        clearTimeout(timeout);
+        resolve();
+      }, { once: true });
+
+      element.addEventListener('error', () => {
+        clearTimeout(timeout);
+        reject(element.error);
+      }, { once: true });
+    });
+  }
+
+  /**
+   * Draw a frame scaled to thumbnail size
+   * @param {CanvasImageSource} image
+   * @param {number} width - Source width
+   * @param {number} height - Source height
+   * @returns {string} JPEG data URL
+   */
+  drawThumbnail(image, width, height) {
+    const canvas = document.createElement('canvas');
+    canvas.width = this.thumbnailWidth;
+    canvas.height = Math.round(this.thumbnailWidth * (height / width || 9 / 16));
+
+    canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+    return canvas.toDataURL('image/jpeg', 0.7);
+  }
+
+  /**
+   * Preload a file-backed entry (live feeds are always ready)
+   * @param {object} videoEntry
+   */
+  preloadEntry(videoEntry) {
+    if (videoEntry.type === 'video') {
+      videoEntry.element.load();
+    }
+  }
+
+  /**
+   * Stop an entry and free its resources
+   * @param {object} videoEntry
+   */
+  releaseEntry(videoEntry) {
+    this.stopEntry(videoEntry);
+
+    if (videoEntry.element.isImageSource) {
+      videoEntry.element.dispose();
+    } else if (videoEntry.stream) {
+      videoEntry.stream.getTracks().forEach(track => track.stop());
+      videoEntry.element.srcObject = null;
+    } else {
+      videoEntry.element.src = '';
+    }
+
+    if (videoEntry.url) {
+      URL.revokeObjectURL(videoEntry.url);
+    }
+  }
+
+  /**
+   * Check if an entry has a timeline that can be seeked
+   * @param {object} videoEntry
+   * @returns {boolean}
+   */
+  isSeekable(videoEntry) {
+    return Number.isFinite(videoEntry.duration);
+  }
+
   /**
    * Remove video by ID
    * @param {string} id
@@ -112,13 +612,17 @@ export class VideoManager {
 
     const video = this.videos[index];
 
+    // Drop the outgoing deck if it is the clip being removed
+    if (this.activeTransition && this.activeTransition.from === video) {
+      this.activeTransition = null;
+    }
+
     // Clean up
-    video.element.pause();
-    video.element.src = '';
-    URL.revokeObjectURL(video.url);
+    this.releaseEntry(video);
 
     // Remove from array
     this.videos.splice(index, 1);
+    this.pendingSwitchIndex = null;
 
     // Adjust current index if needed
     if (index < this.currentIndex) {
@@ -148,6 +652,7 @@ export class VideoManager {
     // Move video
     const [video] = this.videos.splice(oldIndex, 1);
     this.videos.splice(newIndex, 0, video);
+    this.pendingSwitchIndex = null;
 
     // Update current index if needed
     if (oldIndex === this.currentIndex) {
@@ -173,8 +678,12 @@ export class VideoManager {
 
     if (current) {
       try {
-        current.element.playbackRate = this.playbackRate;
-        await current.element.play();
+        // Start inside the clip's region
+        if (!this.isInsideRegion(current)) {
+          this.seekToRegionStart(current);
+        }
+
+        await this.startEntry(current);
         this.isPlaying = true;
 
         // Preload next video
@@ -201,113 +710,998 @@ export class VideoManager {
     const current = this.getCurrentVideo();
 
     if (current) {
-      current.element.pause();
+      this.stopEntry(current);
       this.isPlaying = false;
     }
   }
 
   /**
-   * Toggle play/pause
+   * Start an entry moving in its effective direction
+   * @param {object} videoEntry
+   * @returns {Promise<void>}
    */
-  togglePlayPause() {
-    if (this.isPlaying) {
-      this.pause();
-    } else {
-      this.play();
+  startEntry(videoEntry) {
+    const element = videoEntry.element;
+    element.playbackRate = Math.abs(this.playbackRate);
+
+    // Browsers can't play backwards: hold the element and step its playhead
+    if (this.isReversed(videoEntry)) {
+      element.pause();
+      videoEntry.reversing = true;
+      videoEntry.playhead = element.currentTime;
+      videoEntry.seekPending = false;
+      return Promise.resolve();
     }
+
+    videoEntry.reversing = false;
+    return element.play();
   }
 
   /**
-   * Go to next video
+   * Stop an entry in either direction
+   * @param {object} videoEntry
    */
-  nextVideo() {
-    if (this.videos.length === 0) return;
-
-    // Pause current
-    this.pause();
-
-    // Move to next (with looping)
-    this.currentIndex = (this.currentIndex + 1) % this.videos.length;
-
-    // Play new video
-    this.play();
+  stopEntry(videoEntry) {
+    videoEntry.reversing = false;
+    videoEntry.element.pause();
   }
 
   /**
-   * Go to previous video
+   * Step a reversing entry's playhead backwards
+   * @param {object} videoEntry
+   * @param {number} deltaTime - Seconds
    */
-  previousVideo() {
-    if (this.videos.length === 0) return;
+  stepReverse(videoEntry, deltaTime) {
+    videoEntry.playhead -= deltaTime * Math.abs(this.playbackRate);
 
-    // Pause current
-    this.pause();
+    if (videoEntry.playhead <= videoEntry.inPoint) {
+      videoEntry.playhead = videoEntry.inPoint;
+      videoEntry.element.currentTime = videoEntry.inPoint;
 
-    // Move to previous (with looping)
-    this.currentIndex = (this.currentIndex - 1 + this.videos.length) % this.videos.length;
+      if (videoEntry === this.getCurrentVideo()) {
+        this.handleRegionEnd(videoEntry);
+      } else {
+        // Outgoing deck ran out while being mixed away
+        this.stopEntry(videoEntry);
+      }
+      return;
+    }
 
-    // Play new video
-    this.play();
+    // Each seek is a keyframe seek and decode: issue the next only once the last has
+    // landed ('seeked'), holding its frame meanwhile. Image sources seek instantly
+    if (videoEntry.element.isImageSource) {
+      videoEntry.element.currentTime = videoEntry.playhead;
+    } else if (!videoEntry.seekPending) {
+      videoEntry.seekPending = true;
+      videoEntry.element.currentTime = videoEntry.playhead;
+    }
   }
 
   /**
-   * Jump to specific video by index
-   * @param {number} index
+   * Get a clip's effective play direction
+   * @param {object} videoEntry
+   * @returns {string} forward, reverse or pingpong
    */
-  jumpToVideo(index) {
-    if (index < 0 || index >= this.videos.length) return;
-
-    this.pause();
-    this.currentIndex = index;
-    this.play();
+  getDirection(videoEntry) {
+    return videoEntry.direction || this.playDirection;
   }
 
   /**
-   * Handle video ended event
+   * Check if an entry is currently moving backwards
+   * @param {object} videoEntry
+   * @returns {boolean}
    */
-  handleVideoEnded() {
-    console.log('Video ended, moving to next');
+  isReversed(videoEntry) {
+    if (!this.isSeekable(videoEntry)) return false;
 
-    if (this.onVideoEndedCallback) {
-      this.onVideoEndedCallback(this.getCurrentVideo());
+    const direction = this.getDirection(videoEntry);
+    let reversed = direction === 'reverse';
+
+    if (this.playbackRate < 0) {
+      reversed = !reversed;
     }
 
-    // Automatically play next video (seamless loop)
-    this.nextVideo();
+    if (direction === 'pingpong' && videoEntry.pingPongReversed) {
+      reversed = !reversed;
+    }
+
+    return reversed;
   }
 
   /**
-   * Preload next video in sequence
+   * Check if the playhead is where playback of the region may continue
+   * @param {object} videoEntry
+   * @returns {boolean}
    */
-  preloadNext() {
-    if (this.videos.length <= 1) return;
-
-    const nextIndex = (this.currentIndex + 1) % this.videos.length;
-    const nextVideo = this.videos[nextIndex];
+  isInsideRegion(videoEntry) {
+    const time = videoEntry.element.currentTime;
 
-    if (nextVideo) {
-      nextVideo.element.load();
-    }
+    return this.isReversed(videoEntry)
+      ? time > videoEntry.inPoint && time <= videoEntry.outPoint
+      : time >= videoEntry.inPoint && time < videoEntry.outPoint;
   }
 
   /**
-   * Set playback speed
-   * @param {number} rate - 0.25 to 4.0
+   * Move the playhead to where the region starts in the current direction
+   * @param {object} videoEntry
    */
-  setPlaybackRate(rate) {
-    this.playbackRate = Math.max(0.25, Math.min(4.0, rate));
+  seekToRegionStart(videoEntry) {
+    if (!this.isSeekable(videoEntry)) return;
 
-    const current = this.getCurrentVideo();
-    if (current) {
-      current.element.playbackRate = this.playbackRate;
-    }
+    const time = this.isReversed(videoEntry) ? videoEntry.outPoint : videoEntry.inPoint;
+    videoEntry.element.currentTime = time;
+    videoEntry.playhead = time;
   }
 
   /**
-   * Get current video
-   * @returns {object|null}
+   * Seconds until the playhead reaches the end of the region in its direction
+   * @param {object} videoEntry
+   * @returns {number}
    */
-  getCurrentVideo() {
-    return this.videos[this.currentIndex] || null;
+  getRemainingTime(videoEntry) {
+    if (videoEntry.reversing) {
+      return videoEntry.playhead - videoEntry.inPoint;
+    }
+
+    return videoEntry.outPoint - videoEntry.element.currentTime;
+  }
+
+  /**
+   * Re-apply direction to the decks that are moving
+   */
+  refreshDirection() {
+    const current = this.getCurrentVideo();
+
+    if (current && this.isPlaying) {
+      this.startEntry(current);
+    }
+
+    const outgoing = this.activeTransition?.from;
+    if (outgoing && outgoing !== current && (outgoing.reversing || !outgoing.element.paused)) {
+      this.startEntry(outgoing);
+    }
+  }
+
+  /**
+   * Set global play direction
+   * @param {string} direction - forward, reverse, pingpong
+   * @returns {boolean}
+   */
+  setPlayDirection(direction) {
+    if (!this.playDirections.includes(direction)) {
+      console.warn(`Unknown play direction: ${direction}`);
+      return false;
+    }
+
+    this.playDirection = direction;
+    this.videos.forEach(video => { video.pingPongReversed = false; });
+    this.refreshDirection();
+    return true;
+  }
+
+  /**
+   * Set (or clear) a clip's direction override
+   * @param {string} id
+   * @param {string|null} direction - forward, reverse, pingpong, or null to follow global
+   * @returns {boolean}
+   */
+  setClipDirection(id, direction) {
+    const video = this.videos.find(v => v.id === id);
+    if (!video) return false;
+
+    if (direction !== null && !this.playDirections.includes(direction)) {
+      console.warn(`Unknown play direction: ${direction}`);
+      return false;
+    }
+
+    video.direction = direction;
+    video.pingPongReversed = false;
+    this.refreshDirection();
+    return true;
+  }
+
+  /**
+   * Toggle play/pause
+   */
+  togglePlayPause() {
+    if (this.isPlaying) {
+      this.pause();
+    } else {
+      this.play();
+    }
+  }
+
+  /**
+   * Go to next video
+   */
+  nextVideo() {
+    if (this.videos.length === 0) return;
+
+    this.switchTo(this.getNextIndex());
+  }
+
+  /**
+   * Go to previous video
+   */
+  previousVideo() {
+    if (this.videos.length === 0) return;
+
+    this.switchTo(this.getPreviousIndex());
+  }
+
+  /**
+   * Pick the clip that follows another in the current order mode
+   * @param {number} [fromIndex] - Defaults to the current clip
+   * @returns {number}
+   */
+  getNextIndex(fromIndex = this.currentIndex) {
+    const count = this.videos.length;
+
+    // 'stay' only holds automatic advancing; Next still steps through the list
+    if (count <= 1 || this.orderMode === 'sequential' || this.orderMode === 'stay') {
+      return (fromIndex + 1) % count;
+    }
+
+    // Random picks are made once, so preloading and the switch agree
+    const fromId = this.videos[fromIndex].id;
+    if (this.queuedNext && this.queuedNext.fromId === fromId) {
+      const queuedIndex = this.videos.findIndex(v => v.id === this.queuedNext.toId);
+      if (queuedIndex !== -1) return queuedIndex;
+    }
+
+    const index = this.orderMode === 'shuffle'
+      ? this.drawShuffled(fromId)
+      : this.drawWeighted(fromIndex);
+
+    this.queuedNext = { fromId, toId: this.videos[index].id };
+    return index;
+  }
+
+  /**
+   * Pick the clip to go back to
+   * @param {number} [fromIndex] - Defaults to the current clip
+   * @returns {number}
+   */
+  getPreviousIndex(fromIndex = this.currentIndex) {
+    const count = this.videos.length;
+
+    // Random orders step back through what actually played
+    if (this.orderMode === 'shuffle' || this.orderMode === 'weighted') {
+      while (this.history.length > 0) {
+        const id = this.history.pop();
+        const index = this.videos.findIndex(v => v.id === id);
+
+        if (index !== -1 && index !== fromIndex) {
+          this.returningToId = id;
+          return index;
+        }
+      }
+    }
+
+    return (fromIndex - 1 + count) % count;
+  }
+
+  /**
+   * Take the next clip of the shuffle round, dealing a new round when it runs out
+   * @param {string} excludeId - Clip playing now (counts as played)
+   * @returns {number}
+   */
+  drawShuffled(excludeId) {
+    const ids = new Set(this.videos.map(v => v.id));
+    this.shuffleBag = this.shuffleBag.filter(id => ids.has(id) && id !== excludeId);
+
+    if (this.shuffleBag.length === 0) {
+      // Fisher-Yates over every clip except the one playing
+      const bag = this.videos.map(v => v.id).filter(id => id !== excludeId);
+      for (let i = bag.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [bag[i], bag[j]] = [bag[j], bag[i]];
+      }
+      this.shuffleBag = bag;
+    }
+
+    return this.videos.findIndex(v => v.id === this.shuffleBag[0]);
+  }
+
+  /**
+   * Pick a random clip other than the current one, in proportion to its weight
+   * @param {number} fromIndex
+   * @returns {number}
+   */
+  drawWeighted(fromIndex) {
+    const candidates = this.videos
+      .map((video, index) => ({ index, weight: video.weight }))
+      .filter(candidate => candidate.index !== fromIndex && candidate.weight > 0);
+
+    if (candidates.length === 0) {
+      return (fromIndex + 1) % this.videos.length;
+    }
+
+    const total = candidates.reduce((sum, candidate) => sum + candidate.weight, 0);
+    let pick = Math.random() * total;
+
+    for (const candidate of candidates) {
+      pick -= candidate.weight;
+      if (pick < 0) return candidate.index;
+    }
+
+    return candidates[candidates.length - 1].index;
+  }
+
+  /**
+   * Set playback order mode
+   * @param {string} mode - sequential, shuffle, weighted, stay
+   * @returns {boolean}
+   */
+  setOrderMode(mode) {
+    if (!this.orderModes.includes(mode)) {
+      console.warn(`Unknown order mode: ${mode}`);
+      return false;
+    }
+
+    this.orderMode = mode;
+    this.shuffleBag = [];
+    this.queuedNext = null;
+    this.preloadNext();
+    return true;
+  }
+
+  /**
+   * Set a clip's weight for weighted random order
+   * @param {string} id
+   * @param {number} weight - 0 (never picked) to maxClipWeight
+   * @returns {boolean}
+   */
+  setClipWeight(id, weight) {
+    const video = this.videos.find(v => v.id === id);
+    if (!video) return false;
+
+    video.weight = Math.max(0, Math.min(this.maxClipWeight, Number(weight) || 0));
+    this.queuedNext = null;
+    return true;
+  }
+
+  /**
+   * Jump to specific video by index
+   * @param {number} index
+   */
+  jumpToVideo(index) {
+    if (index < 0 || index >= this.videos.length) return;
+
+    this.switchTo(index);
+  }
+
+  /**
+   * Request next video (quantized to the beat when synced)
+   */
+  requestNextVideo() {
+    if (this.videos.length === 0) return;
+
+    const from = this.pendingSwitchIndex ?? this.currentIndex;
+    this.requestSwitch(this.getNextIndex(from));
+  }
+
+  /**
+   * Request previous video (quantized to the beat when synced)
+   */
+  requestPreviousVideo() {
+    if (this.videos.length === 0) return;
+
+    const from = this.pendingSwitchIndex ?? this.currentIndex;
+    this.requestSwitch(this.getPreviousIndex(from));
+  }
+
+  /**
+   * Switch now, or on the next beat if manual quantize is active
+   * @param {number} index
+   */
+  requestSwitch(index) {
+    if (index < 0 || index >= this.videos.length) return;
+
+    if (this.quantizeManual && this.isBeatSynced()) {
+      this.pendingSwitchIndex = index;
+      return;
+    }
+
+    this.switchTo(index);
+  }
+
+  /**
+   * Handle a detected beat (wire to BeatDetector.onBeat)
+   */
+  handleBeat() {
+    this.lastBeatTime = performance.now();
+
+    if (this.videos.length === 0) return;
+
+    // Quantized manual switch lands on this beat
+    if (this.pendingSwitchIndex !== null) {
+      const index = this.pendingSwitchIndex;
+      this.pendingSwitchIndex = null;
+
+      if (index < this.videos.length) {
+        this.switchTo(index);
+      }
+      return;
+    }
+
+    if (this.advanceMode === 'clipEnd' || this.orderMode === 'stay' || !this.isPlaying) return;
+
+    this.beatCount++;
+
+    const beatsNeeded = this.advanceMode === 'bars'
+      ? this.advanceEvery * this.beatsPerBar
+      : this.advanceEvery;
+
+    if (this.beatCount >= beatsNeeded) {
+      this.nextVideo();
+    }
+  }
+
+  /**
+   * Check if beats are currently arriving
+   * @returns {boolean}
+   */
+  isBeatSynced() {
+    return performance.now() - this.lastBeatTime < this.beatTimeout;
+  }
+
+  /**
+   * Check if the beat counter (not clip ends) decides when to advance
+   * @returns {boolean}
+   */
+  isBeatAdvanceActive() {
+    return this.advanceMode !== 'clipEnd' && this.isBeatSynced();
+  }
+
+  /**
+   * Check if clip ends loop the clip instead of advancing
+   * @returns {boolean}
+   */
+  isClipEndHeld() {
+    return this.orderMode === 'stay' || this.isBeatAdvanceActive();
+  }
+
+  /**
+   * Set advance mode
+   * @param {string} mode - clipEnd, beats, bars
+   * @param {number} [every] - Advance after this many beats/bars
+   * @returns {boolean}
+   */
+  setAdvanceMode(mode, every = this.advanceEvery) {
+    if (!this.advanceModes.includes(mode)) {
+      console.warn(`Unknown advance mode: ${mode}`);
+      return false;
+    }
+
+    this.advanceMode = mode;
+    this.advanceEvery = Math.max(1, Math.min(64, Math.floor(every)));
+    this.beatCount = 0;
+    return true;
+  }
+
+  /**
+   * Enable/disable quantizing manual switches to the next beat
+   * @param {boolean} enabled
+   */
+  setQuantizeManual(enabled) {
+    this.quantizeManual = enabled;
+
+    if (!enabled) {
+      this.pendingSwitchIndex = null;
+    }
+  }
+
+  /**
+   * Switch the incoming deck to a new clip, transitioning out of the current one
+   * @param {number} index
+   */
+  switchTo(index) {
+    const outgoing = this.getCurrentVideo();
+    const incoming = this.videos[index];
+
+    // Finish any transition still in progress before starting a new one
+    this.finishTransition();
+
+    const shouldTransition = this.isPlaying &&
+      outgoing && incoming && outgoing !== incoming &&
+      this.transitionType !== 'cut' &&
+      this.transitionDuration > 0;
+
+    if (shouldTransition) {
+      // Outgoing deck keeps playing until the transition completes
+      this.activeTransition = {
+        from: outgoing,
+        type: this.transitionType,
+        duration: this.transitionDuration,
+        startTime: performance.now()
+      };
+    } else {
+      this.pause();
+    }
+
+    // Remember where we came from (unless we are stepping back there)
+    if (outgoing && outgoing !== incoming && incoming.id !== this.returningToId) {
+      this.history.push(outgoing.id);
+      if (this.history.length > this.maxHistory) {
+        this.history.shift();
+      }
+    }
+    this.returningToId = null;
+
+    this.shuffleBag = this.shuffleBag.filter(id => id !== incoming.id);
+    this.queuedNext = null;
+
+    this.currentIndex = index;
+    this.beatCount = 0;
+    this.pendingSwitchIndex = null;
+    incoming.loopsPlayed = 0;
+    incoming.pingPongReversed = false;
+    this.play();
+  }
+
+  /**
+   * Stop the outgoing deck and clear the active transition
+   */
+  finishTransition() {
+    if (!this.activeTransition) return;
+
+    const { from } = this.activeTransition;
+    this.activeTransition = null;
+
+    if (from !== this.getCurrentVideo()) {
+      this.stopEntry(from);
+
+      // Clips mixed out at their tail start from the top next time round
+      if (from.element.ended || this.getRemainingTime(from) <= this.transitionDuration) {
+        from.pingPongReversed = false;
+        this.seekToRegionStart(from);
+      }
+    }
+  }
+
+  /**
+   * Advance transitions and start automatic mixes (call every frame)
+   */
+  update() {
+    const now = performance.now();
+    const deltaTime = Math.min((now - this.lastUpdateTime) / 1000, 0.1);
+    this.lastUpdateTime = now;
+
+    for (const video of this.videos) {
+      // Image sources run on our clock (paused ones ignore it)
+      if (video.element.isImageSource) {
+        video.element.update(deltaTime);
+      }
+
+      if (video.reversing) {
+        this.stepReverse(video, deltaTime);
+      }
+    }
+
+    if (this.activeTransition && this.getTransitionProgress() >= 1) {
+      this.finishTransition();
+    }
+
+    // The outgoing deck holds at its out point while it is mixed away
+    const outgoing = this.activeTransition?.from;
+    if (
+      outgoing &&
+      outgoing !== this.getCurrentVideo() &&
+      !outgoing.reversing &&
+      !outgoing.element.paused &&
+      outgoing.outPoint < outgoing.duration &&
+      outgoing.element.currentTime >= outgoing.outPoint
+    ) {
+      this.stopEntry(outgoing);
+    }
+
+    const current = this.getCurrentVideo();
+    if (!current || !this.isPlaying) return;
+
+    // Enforce the out point (the 'ended' event covers outPoint === duration)
+    if (
+      !current.reversing &&
+      current.outPoint < current.duration &&
+      current.element.currentTime >= current.outPoint
+    ) {
+      this.handleRegionEnd(current);
+      return;
+    }
+
+    // Start the mix early so both decks are moving while it runs
+    const isFinalLeg = this.getDirection(current) !== 'pingpong' || current.pingPongReversed;
+    if (
+      !this.activeTransition &&
+      !this.isClipEndHeld() &&
+      this.videos.length > 1 &&
+      this.transitionType !== 'cut' &&
+      this.isFinalLoop(current) &&
+      isFinalLeg &&
+      this.getRemainingTime(current) <= this.transitionDuration
+    ) {
+      this.handleVideoEnded(current);
+    }
+  }
+
+  /**
+   * Handle a clip reaching the end of its region: bounce, loop or advance
+   * @param {object} videoEntry
+   */
+  handleRegionEnd(videoEntry) {
+    if (videoEntry !== this.getCurrentVideo()) return;
+
+    // Ping-pong bounces off the far end; a loop is one full there-and-back
+    if (this.getDirection(videoEntry) === 'pingpong' && !videoEntry.pingPongReversed) {
+      videoEntry.pingPongReversed = true;
+
+      if (this.isPlaying) {
+        this.startEntry(videoEntry);
+      }
+      return;
+    }
+
+    // While beat-synced (or staying on the clip), clips loop until something else advances them
+    if (!this.isFinalLoop(videoEntry) || this.isClipEndHeld()) {
+      videoEntry.loopsPlayed++;
+      videoEntry.pingPongReversed = false;
+      this.seekToRegionStart(videoEntry);
+
+      if (this.isPlaying) {
+        this.startEntry(videoEntry);
+      }
+      return;
+    }
+
+    this.handleVideoEnded(videoEntry);
+  }
+
+  /**
+   * Check if a clip is playing the last pass of its loop region
+   * @param {object} videoEntry
+   * @returns {boolean}
+   */
+  isFinalLoop(videoEntry) {
+    return videoEntry.loopCount > 0 && videoEntry.loopsPlayed >= videoEntry.loopCount - 1;
+  }
+
+  /**
+   * Set a clip's playback region
+   * @param {string} id
+   * @param {object} region - { inPoint, outPoint, loopCount } in seconds (loopCount 0 = hold forever)
+   * @returns {boolean}
+   */
+  setClipRegion(id, region) {
+    const video = this.videos.find(v => v.id === id);
+    if (!video) return false;
+
+    const inPoint = region.inPoint ?? video.inPoint;
+    const outPoint = region.outPoint ?? video.outPoint;
+
+    video.inPoint = Math.max(0, Math.min(inPoint, video.duration));
+    video.outPoint = Math.max(video.inPoint, Math.min(outPoint, video.duration));
+
+    // Guard against an empty region
+    if (video.outPoint - video.inPoint < 0.05) {
+      video.inPoint = 0;
+      video.outPoint = video.duration;
+      console.warn(`Region for ${video.name} too short, reset to full clip`);
+    }
+
+    if (region.loopCount !== undefined) {
+      video.loopCount = Math.max(0, Math.floor(region.loopCount));
+    }
+
+    return true;
+  }
+
+  /**
+   * Trigger a hot cue on the current clip: jump to it, or set it if the slot is empty
+   * @param {number} slot - 0 to maxCues - 1
+   * @returns {boolean}
+   */
+  triggerCue(slot) {
+    const current = this.getCurrentVideo();
+    if (!current || !this.isSeekable(current) || slot < 0 || slot >= this.maxCues) return false;
+
+    const cue = current.cues[slot];
+
+    if (cue === null) {
+      return this.setCue(slot);
+    }
+
+    current.element.currentTime = cue;
+    current.playhead = cue;
+
+    if (!this.isPlaying) {
+      this.play();
+    }
+
+    return true;
+  }
+
+  /**
+   * Set a hot cue on the current clip
+   * @param {number} slot - 0 to maxCues - 1
+   * @param {number} [time] - Defaults to the playhead
+   * @returns {boolean}
+   */
+  setCue(slot, time) {
+    const current = this.getCurrentVideo();
+    if (!current || !this.isSeekable(current) || slot < 0 || slot >= this.maxCues) return false;
+
+    const cueTime = time ?? current.element.currentTime;
+
+    // Keep cues inside the playable region
+    current.cues[slot] = Math.max(current.inPoint, Math.min(cueTime, current.outPoint - 0.05));
+
+    console.log(`Cue ${slot + 1} set at ${current.cues[slot].toFixed(2)}s on ${current.name}`);
+
+    return true;
+  }
+
+  /**
+   * Clear a hot cue on the current clip
+   * @param {number} slot - 0 to maxCues - 1
+   * @returns {boolean}
+   */
+  clearCue(slot) {
+    const current = this.getCurrentVideo();
+    if (!current || slot < 0 || slot >= this.maxCues) return false;
+
+    current.cues[slot] = null;
+    return true;
+  }
+
+  /**
+   * Get hot cues of the current clip
+   * @returns {array} Cue times in seconds (null = empty slot)
+   */
+  getCurrentCues() {
+    const current = this.getCurrentVideo();
+    return current ? [...current.cues] : new Array(this.maxCues).fill(null);
+  }
+
+  /**
+   * Get the persistable settings of a clip
+   * @param {object} videoEntry
+   * @returns {object}
+   */
+  getClipSettings(videoEntry) {
+    return {
+      id: videoEntry.id,
+      type: videoEntry.type,
+      name: videoEntry.name,
+      source: videoEntry.source ? { ...videoEntry.source } : null,
+      inPoint: videoEntry.inPoint,
+      outPoint: videoEntry.outPoint,
+      loopCount: videoEntry.loopCount,
+      cues: [...videoEntry.cues],
+      direction: videoEntry.direction,
+      weight: videoEntry.weight
+    };
+  }
+
+  /**
+   * Apply saved settings to a clip
+   * @param {string} id
+   * @param {object} settings - From getClipSettings()
+   * @returns {boolean}
+   */
+  applyClipSettings(id, settings) {
+    const video = this.videos.find(v => v.id === id);
+    if (!video) return false;
+
+    this.setClipRegion(id, {
+      inPoint: settings.inPoint,
+      outPoint: settings.outPoint,
+      loopCount: settings.loopCount
+    });
+
+    if (settings.direction !== undefined) {
+      this.setClipDirection(id, settings.direction);
+    }
+
+    if (settings.weight !== undefined) {
+      this.setClipWeight(id, settings.weight);
+    }
+
+    if (Array.isArray(settings.cues)) {
+      video.cues = new Array(this.maxCues).fill(null)
+        .map((_, slot) => settings.cues[slot] ?? null);
+    }
+
+    return true;
+  }
+
+  /**
+   * Restore playlist-level settings and position from getState()
+   * @param {object} state
+   */
+  restoreState(state) {
+    if (!state) return;
+
+    if (state.playbackRate !== undefined) {
+      this.setPlaybackRate(state.playbackRate);
+    }
+
+    if (state.playDirection) {
+      this.setPlayDirection(state.playDirection);
+    }
+
+    if (state.transitionType) {
+      this.setTransitionType(state.transitionType);
+    }
+
+    if (state.transitionDuration !== undefined) {
+      this.setTransitionDuration(state.transitionDuration);
+    }
+
+    if (state.advanceMode) {
+      this.setAdvanceMode(state.advanceMode, state.advanceEvery);
+    }
+
+    if (state.quantizeManual !== undefined) {
+      this.setQuantizeManual(state.quantizeManual);
+    }
+
+    if (state.orderMode) {
+      this.setOrderMode(state.orderMode);
+    }
+
+    if (Array.isArray(state.clips)) {
+      state.clips.forEach(settings => this.applyClipSettings(settings.id, settings));
+    }
+
+    // Resume on the saved clip (falls back to the first one if it went missing)
+    if (this.videos.length > 0) {
+      const savedId = state.clips?.[state.currentIndex]?.id;
+      const index = Math.max(0, this.videos.findIndex(v => v.id === savedId));
+      this.jumpToVideo(index);
+    }
+  }
+
+  /**
+   * Mark the in point of the current clip at its playhead
+   */
+  markInPoint() {
+    const current = this.getCurrentVideo();
+    if (current && this.isSeekable(current)) {
+      this.setClipRegion(current.id, { inPoint: current.element.currentTime });
+    }
+  }
+
+  /**
+   * Mark the out point of the current clip at its playhead
+   */
+  markOutPoint() {
+    const current = this.getCurrentVideo();
+    if (current && this.isSeekable(current)) {
+      this.setClipRegion(current.id, { outPoint: current.element.currentTime });
+    }
+  }
+
+  /**
+   * Reset a clip to play in full, once
+   * @param {string} id
+   */
+  resetClipRegion(id) {
+    const video = this.videos.find(v => v.id === id);
+    if (video) {
+      this.setClipRegion(id, { inPoint: 0, outPoint: video.duration, loopCount: 1 });
+    }
+  }
+
+  /**
+   * Get transition progress (0-1)
+   * @returns {number}
+   */
+  getTransitionProgress() {
+    if (!this.activeTransition) return 1;
+
+    const elapsed = (performance.now() - this.activeTransition.startTime) / 1000;
+    return Math.min(1, elapsed / this.activeTransition.duration);
+  }
+
+  /**
+   * Get active transition for rendering
+   * @returns {object|null} { type, progress, fromElement, toElement }
+   */
+  getTransitionState() {
+    if (!this.activeTransition) return null;
+
+    return {
+      type: this.activeTransition.type,
+      progress: this.getTransitionProgress(),
+      fromElement: this.activeTransition.from.element,
+      toElement: this.getCurrentVideoElement()
+    };
+  }
+
+  /**
+   * Set transition type
+   * @param {string} type - cut, crossfade, lumaWipe, dissolveToBlack, zoomBlur
+   * @returns {boolean}
+   */
+  setTransitionType(type) {
+    if (!this.transitionTypes.includes(type)) {
+      console.warn(`Unknown transition type: ${type}`);
+      return false;
+    }
+
+    this.transitionType = type;
+    return true;
+  }
+
+  /**
+   * Set transition duration
+   * @param {number} seconds - 0 to 10
+   */
+  setTransitionDuration(seconds) {
+    this.transitionDuration = Math.max(0, Math.min(10, seconds));
+  }
+
+  /**
+   * Handle video ended event
+   * @param {object} videoEntry
+   */
+  handleVideoEnded(videoEntry) {
+    // The outgoing deck may reach its end while it is being mixed out
+    if (videoEntry !== this.getCurrentVideo()) return;
+
+    console.log('Video ended, moving to next');
+
+    if (this.onVideoEndedCallback) {
+      this.onVideoEndedCallback(this.getCurrentVideo());
+    }
+
+    // Automatically play next video (seamless loop)
+    this.nextVideo();
+  }
+
+  /**
+   * Preload next video in sequence
+   */
+  preloadNext() {
+    if (this.videos.length <= 1) return;
+
+    const nextVideo = this.videos[this.getNextIndex()];
+
+    // Never reload a clip that is still on screen (e.g. the outgoing deck)
+    if (nextVideo && nextVideo.element.paused && !nextVideo.reversing) {
+      this.preloadEntry(nextVideo);
+    }
+  }
+
+  /**
+   * Set playback speed
+   * @param {number} rate - -4.0 to 4.0 (magnitude 0.25 to 4.0, negative plays in reverse)
+   */
+  setPlaybackRate(rate) {
+    const magnitude = Math.max(0.25, Math.min(4.0, Math.abs(rate)));
+    const wasNegative = this.playbackRate < 0;
+
+    this.playbackRate = rate < 0 ? -magnitude : magnitude;
+
+    if (wasNegative !== this.playbackRate < 0) {
+      // Direction flipped: restart the moving decks the other way
+      this.refreshDirection();
+    } else {
+      // Both decks, so a clip being mixed out keeps pace
+      [this.getCurrentVideo(), this.activeTransition?.from].forEach(entry => {
+        if (entry) {
+          entry.element.playbackRate = magnitude;
+        }
+      });
+    }
+  }
+
+  /**
+   * Get current video
+   * @returns {object|null}
+   */
+  getCurrentVideo() {
+    return this.videos[this.currentIndex] || null;
   }
 
   /**
@@ -326,10 +1720,17 @@ export class VideoManager {
   getAllVideos() {
     return this.videos.map((v, index) => ({
       id: v.id,
+      type: v.type,
       name: v.name,
       duration: v.duration,
       width: v.width,
       height: v.height,
+      inPoint: v.inPoint,
+      outPoint: v.outPoint,
+      loopCount: v.loopCount,
+      direction: v.direction,
+      weight: v.weight,
+      thumbnail: v.thumbnail,
       isCurrent: index === this.currentIndex
     }));
   }
@@ -343,6 +1744,15 @@ export class VideoManager {
     return this.supportedFormats.some(format => mimeType.includes(format));
   }
 
+  /**
+   * Check if image format is supported
+   * @param {string} mimeType
+   * @returns {boolean}
+   */
+  isSupportedImageFormat(mimeType) {
+    return this.supportedImageFormats.includes(mimeType);
+  }
+
   /**
    * Generate unique ID
    * @returns {string}
@@ -375,15 +1785,14 @@ export class VideoManager {
    */
   dispose() {
     // Stop and cleanup all videos
-    this.videos.forEach(video => {
-      video.element.pause();
-      video.element.src = '';
-      URL.revokeObjectURL(video.url);
-    });
+    this.videos.forEach(video => this.releaseEntry(video));
 
     this.videos = [];
     this.currentIndex = 0;
     this.isPlaying = false;
+    this.activeTransition = null;
+    this.pendingSwitchIndex = null;
+    this.beatCount = 0;
 
     console.log('VideoManager disposed');
   }
@@ -398,6 +1807,14 @@ export class VideoManager {
       currentIndex: this.currentIndex,
       isPlaying: this.isPlaying,
       playbackRate: this.playbackRate,
+      playDirection: this.playDirection,
+      transitionType: this.transitionType,
+      transitionDuration: this.transitionDuration,
+      advanceMode: this.advanceMode,
+      advanceEvery: this.advanceEvery,
+      quantizeManual: this.quantizeManual,
+      orderMode: this.orderMode,
+      clips: this.videos.map(v => this.getClipSettings(v)),
       currentVideo: this.getCurrentVideo() ? {
         name: this.getCurrentVideo().name,
         duration: this.getCurrentVideo().duration,